@@ -0,0 +1,249 @@
+const crypto = require('crypto');
+const { Pool } = require('pg');
+const { getActivityById } = require('../lib/activities');
+const { jsonResponse, dbNotConfiguredResponse } = require('../lib/http');
+const activityStore = require('../../telegram-bot/lib/activity-store');
+
+// Netlify function for writing activities over HTTP (office staff, import scripts, other tools).
+// Uses the same store as the Telegram bot, so rows get the same derived fields
+// (country from location, count_number, mission/activity_type mirrored in raw).
+//
+//   POST   /.netlify/functions/activities              create, returns 201 + the saved item
+//   PATCH  /.netlify/functions/activities?id=<uuid>    update only the fields sent
+//   PUT    /.netlify/functions/activities?id=<uuid>    replace the record (missing fields are cleared)
+//   DELETE /.netlify/functions/activities?id=<uuid>    soft delete (undo with the bot's /restore)
+//
+// The id can also be given as a path segment: /.netlify/functions/activities/<uuid>.
+// Every request needs `Authorization: Bearer <token>`. Tokens come from ACTIVITY_API_TOKENS,
+// a comma-separated list of `label:token` (or bare `token`); the label is stored as raw.source = "api:<label>".
+
+const connectionString = process.env.DATABASE_URL || process.env.NETLIFY_DATABASE_URL;
+
+if (!connectionString) {
+  console.warn('Missing DATABASE_URL / NETLIFY_DATABASE_URL environment variable');
+}
+
+const pool = connectionString ? new Pool({ connectionString }) : null;
+
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'POST, PUT, PATCH, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type'
+};
+
+// Fields a client may set. Everything else in the body is ignored.
+const WRITABLE_FIELDS = [
+  'title', 'note', 'date', 'count', 'mission', 'activity_type', 'country',
+  'location', 'lat', 'lng', 'highlights', 'attachment', 'media'
+];
+
+// Photos / documents per activity (`media`, first one = cover); a Telegram album holds up to 10.
+const MAX_MEDIA_ITEMS = 20;
+
+class ValidationError extends Error {}
+
+function parseApiTokens(value){
+  return String(value || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .map((entry, i) => {
+      const idx = entry.indexOf(':');
+      if(idx > 0) return { label: entry.slice(0, idx).trim(), token: entry.slice(idx + 1).trim() };
+      return { label: 'token' + (i + 1), token: entry };
+    })
+    .filter(t => t.token);
+}
+
+function sha256(value){
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+// Returns the matching token's label, or null. Compares digests so lengths never leak.
+function authenticate(event, tokens){
+  const h = (event && event.headers) || {};
+  const auth = String(h.authorization || h.Authorization || '');
+  const m = auth.match(/^Bearer\s+(.+)$/i);
+  if(!m) return null;
+  const given = sha256(m[1].trim());
+  let label = null;
+  for(const t of tokens){
+    if(crypto.timingSafeEqual(given, sha256(t.token)) && !label) label = t.label;
+  }
+  return label;
+}
+
+function idFromEvent(event){
+  const params = (event && event.queryStringParameters) || {};
+  if(params.id) return String(params.id).trim();
+  const path = String((event && event.path) || '');
+  const m = path.match(/\/activities\/([^/?#]+)/);
+  if(m){
+    try{ return decodeURIComponent(m[1]).trim(); }catch(e){ return m[1].trim(); }
+  }
+  return '';
+}
+
+function parseJsonBody(event){
+  let body = (event && event.body) || '';
+  if(event && event.isBase64Encoded) body = Buffer.from(body, 'base64').toString('utf8');
+  if(!String(body).trim()) throw new ValidationError('Request body must be a JSON object');
+  let parsed;
+  try{ parsed = JSON.parse(body); }catch(e){ throw new ValidationError('Request body is not valid JSON'); }
+  if(!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) throw new ValidationError('Request body must be a JSON object');
+  return parsed;
+}
+
+function optionalString(body, key, maxLen){
+  const v = body[key];
+  if(v == null) return null;
+  if(typeof v !== 'string') throw new ValidationError(`${key} must be a string`);
+  const t = v.trim();
+  if(t.length > maxLen) throw new ValidationError(`${key} is too long (max ${maxLen} characters)`);
+  return t;
+}
+
+function optionalCoord(body, key, limit){
+  const v = body[key];
+  if(v == null || v === '') return null;
+  const n = Number(v);
+  if(!Number.isFinite(n) || Math.abs(n) > limit) throw new ValidationError(`${key} must be a number between -${limit} and ${limit}`);
+  return n;
+}
+
+// Picks and checks the writable fields present in the body; the result only has keys the client sent.
+function sanitizeActivityInput(body){
+  const out = {};
+  for(const key of WRITABLE_FIELDS){
+    if(!Object.prototype.hasOwnProperty.call(body, key)) continue;
+    if(key === 'lat') out.lat = optionalCoord(body, 'lat', 90);
+    else if(key === 'lng') out.lng = optionalCoord(body, 'lng', 180);
+    else if(key === 'date'){
+      const v = body.date;
+      if(v == null || v === ''){ out.date = null; continue; }
+      const d = new Date(v);
+      if(isNaN(d.getTime())) throw new ValidationError('date must be an ISO date or date-time');
+      out.date = d.toISOString();
+    }
+    else if(key === 'count'){
+      const v = body.count;
+      if(v != null && typeof v !== 'string' && typeof v !== 'number') throw new ValidationError('count must be a number or string');
+      out.count = (v == null || v === '') ? null : v;
+    }
+    else if(key === 'attachment'){
+      const a = body.attachment;
+      if(a == null){ out.attachment = null; continue; }
+      if(typeof a !== 'object' || Array.isArray(a)) throw new ValidationError('attachment must be an object with webPath and type');
+      const webPath = String(a.webPath || a.url || '').trim();
+      if(webPath && !/^https?:\/\//i.test(webPath)) throw new ValidationError('attachment.webPath must be an http(s) URL');
+      out.attachment = webPath ? { type: String(a.type || 'photo'), webPath } : null;
+    }
+    else if(key === 'media'){
+      const list = body.media;
+      if(list == null){ out.media = null; continue; }
+      if(!Array.isArray(list)) throw new ValidationError('media must be an array of { webPath, type, caption }');
+      if(list.length > MAX_MEDIA_ITEMS) throw new ValidationError(`media can have at most ${MAX_MEDIA_ITEMS} items`);
+      out.media = list.map((m, i) => {
+        if(!m || typeof m !== 'object' || Array.isArray(m)) throw new ValidationError(`media[${i}] must be an object with webPath and type`);
+        const webPath = String(m.webPath || m.url || '').trim();
+        if(!/^https?:\/\//i.test(webPath)) throw new ValidationError(`media[${i}].webPath must be an http(s) URL`);
+        const caption = m.caption == null ? '' : String(m.caption).trim();
+        if(caption.length > 1000) throw new ValidationError(`media[${i}].caption is too long (max 1000 characters)`);
+        return { type: String(m.type || 'photo'), webPath, caption };
+      });
+      if(!out.media.length) out.media = null;
+    }
+    else out[key] = optionalString(body, key, key === 'note' || key === 'highlights' ? 5000 : 500);
+  }
+  if(('lat' in out) !== ('lng' in out) || (out.lat == null) !== (out.lng == null)){
+    throw new ValidationError('lat and lng must be sent together');
+  }
+  return out;
+}
+
+function requireContent(item){
+  if(!String(item.title || '').trim() && !String(item.note || '').trim()){
+    throw new ValidationError('title or note is required');
+  }
+}
+
+async function savedItemResponse(statusCode, id, extraHeaders){
+  const found = await getActivityById(pool, id);
+  return jsonResponse(statusCode, found ? found.item : { id }, Object.assign({}, CORS_HEADERS, extraHeaders || {}));
+}
+
+async function createActivity(event, source){
+  const input = sanitizeActivityInput(parseJsonBody(event));
+  requireContent(input);
+  const item = Object.assign({}, input, { source });
+  if(!item.date) item.date = new Date().toISOString();
+  const id = await activityStore.insertActivity(pool, item, { actor: source });
+  return savedItemResponse(201, id, { 'Location': `/activity/${encodeURIComponent(id)}` });
+}
+
+async function writeActivity(event, id, source, replace){
+  const input = sanitizeActivityInput(parseJsonBody(event));
+  const row = await activityStore.getActivityRowById(pool, id);
+  if(!row) return jsonResponse(404, { error: 'Activity not found' }, CORS_HEADERS);
+
+  const existing = activityStore.activityItemFromRow(row);
+  let item;
+  if(replace){
+    // keep provenance fields from raw, drop everything the client controls
+    item = Object.assign({}, existing);
+    for(const key of WRITABLE_FIELDS) delete item[key];
+    Object.assign(item, input);
+  } else {
+    item = Object.assign({}, existing, input);
+    // a new location without an explicit country should re-derive it
+    if('location' in input && !('country' in input)) item.country = '';
+    // a new single attachment replaces the stored album
+    if('attachment' in input && !('media' in input)) delete item.media;
+  }
+  requireContent(item);
+  item.id = row.id;
+  item.source = source;
+  const updated = await activityStore.updateActivity(pool, row.id, item, { actor: source });
+  if(!updated) return jsonResponse(404, { error: 'Activity not found' }, CORS_HEADERS);
+  return savedItemResponse(200, row.id);
+}
+
+async function removeActivity(id, source){
+  const deleted = await activityStore.deleteActivity(pool, id, { actor: source });
+  if(!deleted) return jsonResponse(404, { error: 'Activity not found' }, CORS_HEADERS);
+  return jsonResponse(200, { id: deleted, deleted: true }, CORS_HEADERS);
+}
+
+exports.handler = async function(event) {
+  const method = String((event && event.httpMethod) || 'GET').toUpperCase();
+  if(method === 'OPTIONS') return { statusCode: 204, headers: CORS_HEADERS, body: '' };
+
+  try {
+    const tokens = parseApiTokens(process.env.ACTIVITY_API_TOKENS);
+    if(!tokens.length){
+      return jsonResponse(503, { error: 'Write API is disabled. Set ACTIVITY_API_TOKENS in Netlify environment variables.' }, CORS_HEADERS);
+    }
+    const label = authenticate(event, tokens);
+    if(!label){
+      return jsonResponse(401, { error: 'Missing or invalid bearer token' }, Object.assign({ 'WWW-Authenticate': 'Bearer' }, CORS_HEADERS));
+    }
+    if (!pool) return dbNotConfiguredResponse(CORS_HEADERS);
+    const source = 'api:' + label;
+
+    if(method === 'POST') return await createActivity(event, source);
+
+    if(method === 'PATCH' || method === 'PUT' || method === 'DELETE'){
+      const id = idFromEvent(event);
+      if(!id) return jsonResponse(400, { error: 'Missing id' }, CORS_HEADERS);
+      if(!activityStore.isUuidLike(id)) return jsonResponse(404, { error: 'Activity not found' }, CORS_HEADERS);
+      if(method === 'DELETE') return await removeActivity(id, source);
+      return await writeActivity(event, id, source, method === 'PUT');
+    }
+
+    return jsonResponse(405, { error: 'Method not allowed' }, Object.assign({ 'Allow': CORS_HEADERS['Access-Control-Allow-Methods'] }, CORS_HEADERS));
+  } catch (err) {
+    if(err instanceof ValidationError) return jsonResponse(400, { error: err.message }, CORS_HEADERS);
+    console.error('activities write error', err);
+    return jsonResponse(500, { error: String(err) }, CORS_HEADERS);
+  }
+};
@@ -0,0 +1,215 @@
+const { PassThrough, Readable } = require('stream');
+const { Pool } = require('pg');
+const { stream } = require('@netlify/functions');
+const ExcelJS = require('exceljs');
+const {
+  MAX_PAGE_SIZE,
+  BadRequestError,
+  buildActivityFilters,
+  queryActivitiesPage,
+  distributionRowsSql
+} = require('../lib/activities');
+const { jsonResponse, dbNotConfiguredResponse } = require('../lib/http');
+
+// Netlify function that streams activities as CSV or XLSX for donors / auditors.
+//
+// Query parameters:
+//   view=activities      raw activity log, one row per activity (default)
+//   view=distribution    Mission × Country × Location breakdown, same buckets as #impactTable
+//   format=csv|xlsx      default csv
+//   plus the same filters as get-activities: mission, activity_type (type), country, from, to, bbox
+//
+// The response is streamed (Netlify response streaming) so large logs don't hit the buffered
+// 6 MB function response limit. Filters are validated and the first page is read before the
+// stream starts, so bad input still gets a normal 400 JSON error.
+
+const connectionString = process.env.DATABASE_URL || process.env.NETLIFY_DATABASE_URL;
+
+if (!connectionString) {
+  console.warn('Missing DATABASE_URL / NETLIFY_DATABASE_URL environment variable');
+}
+
+const pool = connectionString ? new Pool({ connectionString }) : null;
+
+const ACTIVITY_COLUMNS = [
+  { key: 'id', header: 'ID', width: 38 },
+  { key: 'date', header: 'Date', width: 22 },
+  { key: 'title', header: 'Title', width: 32 },
+  { key: 'mission', header: 'Mission', width: 18 },
+  { key: 'activity_type', header: 'Activity type', width: 16 },
+  { key: 'country', header: 'Country', width: 16 },
+  { key: 'location', header: 'Location', width: 28 },
+  { key: 'count', header: 'Count (as entered)', width: 18 },
+  { key: 'count_number', header: 'Count', width: 12 },
+  { key: 'lat', header: 'Latitude', width: 12 },
+  { key: 'lng', header: 'Longitude', width: 12 },
+  { key: 'note', header: 'Note', width: 40 },
+  { key: 'highlights', header: 'Highlights', width: 40 },
+  { key: 'attachment_url', header: 'Attachment URL', width: 40 },
+  { key: 'created_at', header: 'Created at', width: 22 }
+];
+
+const DISTRIBUTION_COLUMNS = [
+  { key: 'mission', header: 'Mission', width: 18 },
+  { key: 'country', header: 'Country', width: 16 },
+  { key: 'location', header: 'Location', width: 28 },
+  { key: 'total', header: 'Total distributed', width: 18 },
+  { key: 'delta30', header: 'Last 30 days', width: 14 }
+];
+
+function parseViewParam(value){
+  const v = String(value || 'activities').trim().toLowerCase();
+  if(v !== 'activities' && v !== 'distribution') throw new BadRequestError('Invalid view: expected activities or distribution');
+  return v;
+}
+
+function parseExportFormatParam(value){
+  const f = String(value || 'csv').trim().toLowerCase();
+  if(f !== 'csv' && f !== 'xlsx') throw new BadRequestError('Invalid format: expected csv or xlsx');
+  return f;
+}
+
+function toIso(v){
+  if(v == null || v === '') return '';
+  const d = (v instanceof Date) ? v : new Date(v);
+  return isNaN(d.getTime()) ? String(v) : d.toISOString();
+}
+
+function activityExportRow(it){
+  return {
+    id: it.id,
+    date: toIso(it.date),
+    title: it.title || '',
+    mission: it.mission || '',
+    activity_type: it.activity_type || '',
+    country: it.country || '',
+    location: it.location || '',
+    count: it.count || '',
+    count_number: it.count_number,
+    lat: it.lat,
+    lng: it.lng,
+    note: it.note || '',
+    highlights: it.highlights || '',
+    attachment_url: it.attachment && it.attachment.webPath ? it.attachment.webPath : '',
+    created_at: toIso(it.created_at)
+  };
+}
+
+// Text cells starting with = + - @ are run as formulas by spreadsheet apps; prefix them so
+// a title typed into the bot can't execute in an auditor's Excel.
+function csvCell(v){
+  if(v == null) return '';
+  if(typeof v === 'number') return Number.isFinite(v) ? String(v) : '';
+  let s = String(v);
+  if(/^[=+\-@\t\r]/.test(s)) s = "'" + s;
+  return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+}
+
+function csvLine(columns, row){
+  return columns.map(c => csvCell(row[c.key])).join(',') + '\r\n';
+}
+
+// Yields batches of export rows. The first batch is fetched by the caller up front.
+async function* activityBatches(params, first){
+  let page = first;
+  for(;;){
+    yield page.items.map(activityExportRow);
+    if(!page.nextCursor) return;
+    page = await queryActivitiesPage(pool, Object.assign({}, params, { cursor: page.nextCursor }), { limit: MAX_PAGE_SIZE });
+  }
+}
+
+async function queryDistributionRows(params){
+  const values = [];
+  const where = buildActivityFilters(params, values);
+  const res = await pool.query(
+    `SELECT mission, country, location, sum(n) AS total,
+            COALESCE(sum(n) FILTER (WHERE ts >= now() - interval '30 days'), 0) AS delta30
+     FROM (${distributionRowsSql(where)}) d
+     WHERE n > 0
+     GROUP BY mission, country, location
+     ORDER BY sum(n) DESC, mission ASC`,
+    values
+  );
+  return res.rows.map(r => ({
+    mission: r.mission,
+    country: r.country,
+    location: r.location,
+    total: Number(r.total) || 0,
+    delta30: Number(r.delta30) || 0
+  }));
+}
+
+function csvStream(columns, batches){
+  return Readable.from((async function*(){
+    // BOM so Excel opens UTF-8 (Malay / Arabic place names) correctly.
+    yield '\uFEFF' + columns.map(c => csvCell(c.header)).join(',') + '\r\n';
+    for await (const rows of batches){
+      if(rows.length) yield rows.map(r => csvLine(columns, r)).join('');
+    }
+  })());
+}
+
+function xlsxStream(sheetName, columns, batches){
+  const out = new PassThrough();
+  (async () => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: out, useStyles: true, useSharedStrings: false });
+    const sheet = workbook.addWorksheet(sheetName, { views: [{ state: 'frozen', ySplit: 1 }] });
+    sheet.columns = columns;
+    sheet.getRow(1).font = { bold: true };
+    sheet.getRow(1).commit();
+    for await (const rows of batches){
+      for(const r of rows) sheet.addRow(r).commit();
+    }
+    sheet.commit();
+    await workbook.commit();
+  })().catch(err => {
+    console.error('export-activities xlsx error', err);
+    out.destroy(err);
+  });
+  return out;
+}
+
+async function exportHandler(event){
+  try {
+    if (!pool) return dbNotConfiguredResponse();
+    const params = (event && event.queryStringParameters) || {};
+    const view = parseViewParam(params.view);
+    const format = parseExportFormatParam(params.format);
+
+    let columns, batches;
+    if(view === 'distribution'){
+      columns = DISTRIBUTION_COLUMNS;
+      const rows = await queryDistributionRows(params);
+      batches = (async function*(){ yield rows; })();
+    } else {
+      columns = ACTIVITY_COLUMNS;
+      const first = await queryActivitiesPage(pool, Object.assign({}, params, { cursor: '' }), { limit: MAX_PAGE_SIZE });
+      batches = activityBatches(params, first);
+    }
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    const filename = `inspirasiquran-${view}-${stamp}.${format}`;
+    const contentType = format === 'xlsx'
+      ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      : 'text/csv; charset=utf-8';
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': contentType,
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Cache-Control': 'no-store'
+      },
+      body: format === 'xlsx'
+        ? xlsxStream(view === 'distribution' ? 'Distribution' : 'Activities', columns, batches)
+        : csvStream(columns, batches)
+    };
+  } catch (err) {
+    if(err instanceof BadRequestError) return jsonResponse(400, { error: err.message });
+    console.error('export-activities error', err);
+    return { statusCode: 500, body: JSON.stringify({ error: String(err) }) };
+  }
+}
+
+exports.handler = stream(exportHandler);
@@ -0,0 +1,210 @@
+const { Pool } = require('pg');
+const { BadRequestError, queryActivitiesPage } = require('../lib/activities');
+const { jsonResponse, dbNotConfiguredResponse, conditionalResponse } = require('../lib/http');
+
+// Netlify function publishing the latest activities as an Atom or JSON Feed, so partners
+// can subscribe to one mission (e.g. "Misi Syria", "Palestin") without joining Telegram.
+//
+//   /.netlify/functions/feed?mission=Palestin                 Atom (default)
+//   /.netlify/functions/feed?format=json&activity_type=distribution
+//
+// Query parameters: format=atom|json, limit (default 50, max 200), plus the get-activities
+// filters (mission, activity_type / type, country, from, to, bbox). Items are newest first and
+// reuse the derived title / note / highlights / attachment; links point at /activity/:id.
+
+const connectionString = process.env.DATABASE_URL || process.env.NETLIFY_DATABASE_URL;
+
+if (!connectionString) {
+  console.warn('Missing DATABASE_URL / NETLIFY_DATABASE_URL environment variable');
+}
+
+const pool = connectionString ? new Pool({ connectionString }) : null;
+
+const SITE_TITLE = 'Inspirasi Quran';
+const DEFAULT_FEED_SIZE = 50;
+const MAX_FEED_SIZE = 200;
+
+function parseFeedFormatParam(value){
+  const f = String(value || 'atom').trim().toLowerCase();
+  if(f !== 'atom' && f !== 'json') throw new BadRequestError('Invalid format: expected atom or json');
+  return f;
+}
+
+function parseFeedLimitParam(value){
+  const raw = String(value == null ? '' : value).trim();
+  if(!raw) return DEFAULT_FEED_SIZE;
+  const n = Number(raw);
+  if(!Number.isInteger(n) || n < 1) throw new BadRequestError('Invalid limit: expected a positive integer');
+  return Math.min(n, MAX_FEED_SIZE);
+}
+
+// Netlify sets URL to the site's primary URL; fall back to the request host for deploy previews / netlify dev.
+function siteUrl(event){
+  if(process.env.URL) return String(process.env.URL).replace(/\/+$/, '');
+  const h = (event && event.headers) || {};
+  const host = h.host || h.Host || 'localhost';
+  const proto = h['x-forwarded-proto'] || (/^localhost(:|$)/.test(host) ? 'http' : 'https');
+  return `${proto}://${host}`;
+}
+
+// Control characters are not allowed anywhere in XML 1.0, even escaped; one pasted into a
+// Telegram caption would make the whole feed unparseable, so they are dropped.
+const XML_INVALID_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g;
+
+function escapeXml(value){
+  return String(value ?? '')
+    .replace(XML_INVALID_CHARS, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function toDate(v){
+  if(!v) return null;
+  const d = (v instanceof Date) ? v : new Date(v);
+  return isNaN(d.getTime()) ? null : d;
+}
+
+function itemTitle(it){
+  return String(it.title || it.note || 'Activity').trim() || 'Activity';
+}
+
+function attachmentUrl(it){
+  const u = it.attachment && it.attachment.webPath ? String(it.attachment.webPath) : '';
+  // only public URLs make sense outside the site (old bot rows stored local paths)
+  return /^https?:\/\//i.test(u) ? u : '';
+}
+
+function itemText(it){
+  const parts = [];
+  if(it.location) parts.push(`📍 ${it.location}`);
+  if(it.count) parts.push(`📦 ${it.count}`);
+  if(it.note) parts.push(String(it.note));
+  if(it.highlights) parts.push(`“${it.highlights}”`);
+  return parts.join('\n\n');
+}
+
+function itemHtml(it){
+  const esc = escapeXml;
+  const meta = [it.location ? `📍 ${esc(it.location)}` : '', it.count ? `📦 ${esc(it.count)}` : ''].filter(Boolean).join(' · ');
+  const img = attachmentUrl(it);
+  return [
+    meta ? `<p>${meta}</p>` : '',
+    it.note ? `<p>${esc(it.note).replace(/\r?\n/g, '<br>')}</p>` : '',
+    it.highlights ? `<blockquote>${esc(it.highlights).replace(/\r?\n/g, '<br>')}</blockquote>` : '',
+    img ? `<p><img src="${esc(img)}" alt="${esc(itemTitle(it))}"></p>` : ''
+  ].join('');
+}
+
+function itemTags(it){
+  const tags = [it.mission, it.activity_type, it.country].map(t => String(t || '').trim()).filter(Boolean);
+  return Array.from(new Set(tags));
+}
+
+function feedTitle(params){
+  const bits = [params.mission, params.activity_type || params.type, params.country]
+    .map(v => String(v || '').split(',').map(s => s.trim()).filter(Boolean).join(', '))
+    .filter(Boolean);
+  return bits.length ? `${SITE_TITLE} — ${bits.join(' · ')}` : `${SITE_TITLE} — Activities`;
+}
+
+function feedSelfUrl(base, event){
+  const qs = new URLSearchParams((event && event.queryStringParameters) || {}).toString();
+  return `${base}/.netlify/functions/feed${qs ? '?' + qs : ''}`;
+}
+
+function renderAtom({ base, selfUrl, title, items, modified, updated }){
+  const entries = items.map((it, i) => {
+    const link = `${base}/activity/${encodeURIComponent(it.id)}`;
+    const published = toDate(it.date) || toDate(it.created_at) || updated;
+    const entryUpdated = modified[i] || published;
+    const img = attachmentUrl(it);
+    return [
+      '  <entry>',
+      `    <id>${escapeXml(link)}</id>`,
+      `    <title>${escapeXml(itemTitle(it))}</title>`,
+      `    <link rel="alternate" type="text/html" href="${escapeXml(link)}"/>`,
+      img ? `    <link rel="enclosure" href="${escapeXml(img)}"/>` : '',
+      `    <published>${published.toISOString()}</published>`,
+      `    <updated>${entryUpdated.toISOString()}</updated>`,
+      ...itemTags(it).map(t => `    <category term="${escapeXml(t)}"/>`),
+      `    <content type="html">${escapeXml(itemHtml(it))}</content>`,
+      '  </entry>'
+    ].filter(Boolean).join('\n');
+  });
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <id>${escapeXml(selfUrl)}</id>`,
+    `  <title>${escapeXml(title)}</title>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(selfUrl)}"/>`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(base + '/')}"/>`,
+    `  <updated>${updated.toISOString()}</updated>`,
+    `  <author><name>${escapeXml(SITE_TITLE)}</name></author>`,
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+}
+
+function renderJsonFeed({ base, selfUrl, title, items, modified }){
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title,
+    home_page_url: base + '/',
+    feed_url: selfUrl,
+    authors: [{ name: SITE_TITLE }],
+    items: items.map((it, i) => {
+      const published = toDate(it.date) || toDate(it.created_at);
+      const img = attachmentUrl(it);
+      const item = {
+        id: String(it.id),
+        url: `${base}/activity/${encodeURIComponent(it.id)}`,
+        title: itemTitle(it),
+        content_html: itemHtml(it),
+        content_text: itemText(it),
+        tags: itemTags(it)
+      };
+      if(it.highlights) item.summary = String(it.highlights);
+      if(img) item.image = img;
+      if(published) item.date_published = published.toISOString();
+      if(modified[i]) item.date_modified = modified[i].toISOString();
+      return item;
+    })
+  });
+}
+
+exports.handler = async function(event) {
+  try {
+    if (!pool) return dbNotConfiguredResponse();
+    const params = (event && event.queryStringParameters) || {};
+    const format = parseFeedFormatParam(params.format);
+    const limit = parseFeedLimitParam(params.limit);
+
+    const page = await queryActivitiesPage(pool, Object.assign({}, params, { cursor: '' }), { limit, newestFirst: true });
+
+    const base = siteUrl(event);
+    const view = {
+      base,
+      selfUrl: feedSelfUrl(base, event),
+      title: feedTitle(params),
+      items: page.items,
+      modified: page.modified,
+      // empty (or filtered-to-nothing) feeds: now, rather than 1970
+      updated: page.lastModified || new Date()
+    };
+    const body = format === 'json' ? renderJsonFeed(view) : renderAtom(view);
+
+    return conditionalResponse(event, body, {
+      'Content-Type': format === 'json' ? 'application/feed+json; charset=utf-8' : 'application/atom+xml; charset=utf-8',
+      'Cache-Control': 'public, max-age=300',
+      'Access-Control-Allow-Origin': '*'
+    }, page.lastModified);
+  } catch (err) {
+    if(err instanceof BadRequestError) return jsonResponse(400, { error: err.message });
+    console.error('feed error', err);
+    return { statusCode: 500, body: JSON.stringify({ error: String(err) }) };
+  }
+};
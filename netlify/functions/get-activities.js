@@ -1,8 +1,34 @@
 const { Pool } = require('pg');
+const { BadRequestError, MAX_PAGE_SIZE, queryActivitiesPage } = require('../lib/activities');
+const { jsonResponse, dbNotConfiguredResponse, conditionalResponse } = require('../lib/http');
 
 // Netlify function to return activities from Neon Postgres.
 // Netlify's Neon integration often provides NETLIFY_DATABASE_URL automatically.
 // You can also set DATABASE_URL yourself; this function will accept either.
+//
+// Query parameters (all optional):
+//   mission=Syria,Palestin      comma-separated, case-insensitive
+//   activity_type=distribution  comma-separated, case-insensitive (alias: type)
+//   country=Tanzania            comma-separated, case-insensitive
+//   from=2025-12-01             inclusive lower bound on activity date (ISO date or date-time)
+//   to=2025-12-31               inclusive upper bound (a date-only value covers the whole day)
+//   bbox=minLng,minLat,maxLng,maxLat   only rows with coordinates inside the box
+//   limit=500                   page size (default 500, GeoJSON 1000; max 1000)
+//   cursor=...                  opaque value from the previous page's X-Next-Cursor header
+//   format=geojson              return a GeoJSON FeatureCollection instead of the JSON array
+//   unlocated=include           (geojson only) keep rows without coordinates as null-geometry features
+//
+// Each item has `media`: its photos / documents in album order ({ webPath, type, caption });
+// `attachment` is kept as the first one (the cover) for older clients.
+// The body stays a plain JSON array. When more rows exist, the response carries an
+// X-Next-Cursor header; pass it back as ?cursor= to fetch the next page.
+// GeoJSON puts the next page in the body too (`next_cursor`, and a `links` entry with rel "next"),
+// since GIS tools loading the URL directly never see response headers.
+// GeoJSON skips rows without latitude/longitude by default (e.g. activities saved without a location),
+// since most GIS tools drop or choke on null geometries; RFC 7946 allows them, so they can be opted in.
+// Responses carry an ETag of the body so `fetch(url, {cache:'no-cache'})` revalidates with a 304.
+// No Last-Modified: the newest updated_at on a page misses soft deletes and edits to rows on
+// other pages, so If-Modified-Since alone would get stale 304s.
 
 const connectionString = process.env.DATABASE_URL || process.env.NETLIFY_DATABASE_URL;
 
@@ -12,119 +38,94 @@ if (!connectionString) {
 
 const pool = connectionString ? new Pool({ connectionString }) : null;
 
-let _activitiesColsCache = null;
-async function getActivitiesTableColumns(){
-  if(_activitiesColsCache) return _activitiesColsCache;
-  const res = await pool.query(
-    "SELECT column_name FROM information_schema.columns WHERE table_schema = 'public' AND table_name = 'activities'"
-  );
-  _activitiesColsCache = new Set((res.rows || []).map(r => String(r.column_name || '').trim()).filter(Boolean));
-  return _activitiesColsCache;
+function parseFormatParam(value){
+  const f = String(value || 'json').trim().toLowerCase();
+  if(f !== 'json' && f !== 'geojson') throw new BadRequestError('Invalid format: expected json or geojson');
+  return f;
 }
 
-function parseCountNumberLoose(value){
-  if(value == null) return null;
-  if(typeof value === 'number' && Number.isFinite(value)) return Math.round(value);
-  const t = String(value || '').trim();
-  if(!t) return null;
-  const m = t.match(/\d[\d,._\s]*/);
-  if(!m) return null;
-  const numStr = m[0].replace(/[^\d]/g, '');
-  if(!numStr) return null;
-  const n = Number(numStr);
-  if(!Number.isFinite(n)) return null;
-  return Math.round(n);
+function parseUnlocatedParam(value){
+  const v = String(value || 'exclude').trim().toLowerCase();
+  if(v !== 'exclude' && v !== 'include') throw new BadRequestError('Invalid unlocated: expected include or exclude');
+  return v;
 }
 
-function parseCountryFromLocationLoose(location){
-  const s = String(location || '').trim();
-  if(!s) return '';
-  const parts = s.split(',').map(p => p.trim()).filter(Boolean);
-  if(parts.length >= 2) return parts[parts.length - 1];
-  return '';
+function toNumberOrNull(v){
+  if(v == null || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
 }
 
-exports.handler = async function(event) {
-  try {
-    if (!pool) {
+// The request URL with ?cursor= moved on to the next page ('' when Netlify didn't pass rawUrl).
+function nextPageUrl(event, nextCursor){
+  try{
+    const u = new URL(event.rawUrl);
+    u.searchParams.set('cursor', nextCursor);
+    return u.toString();
+  }catch(e){
+    return '';
+  }
+}
+
+// One Feature per activity. Coordinates are [lng, lat] per RFC 7946.
+// nextCursor / nextUrl: foreign members (RFC 7946 §6.1) pointing at the next page, if any.
+function toFeatureCollection(items, nextCursor, nextUrl){
+  const out = {
+    type: 'FeatureCollection',
+    features: items.map(it => {
+      const lat = toNumberOrNull(it.lat);
+      const lng = toNumberOrNull(it.lng);
+      const { lat: _lat, lng: _lng, attachment, ...props } = it;
       return {
-        statusCode: 500,
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          error: 'Database is not configured. Set DATABASE_URL or NETLIFY_DATABASE_URL in Netlify environment variables.'
-        })
+        type: 'Feature',
+        id: it.id,
+        geometry: (lat != null && lng != null) ? { type: 'Point', coordinates: [lng, lat] } : null,
+        properties: {
+          ...props,
+          attachment_url: attachment && attachment.webPath ? attachment.webPath : null
+        }
       };
-    }
-    const cols = await getActivitiesTableColumns();
-    const extra = [];
-    if(cols.has('mission')) extra.push('mission');
-    if(cols.has('activity_type')) extra.push('activity_type');
-    if(cols.has('count_number')) extra.push('count_number');
-    if(cols.has('country')) extra.push('country');
-
-    const q = `SELECT id, title, note, created_at, activity_date, count, ${extra.join(', ')}${extra.length ? ',' : ''} location, latitude AS lat, longitude AS lng, attachment_url, raw
-               FROM activities
-               ORDER BY COALESCE(activity_date, created_at) ASC, created_at ASC`;
-    const res = await pool.query(q);
-    const rows = res.rows.map(r => ({
-      raw: r.raw,
-      id: r.id,
-      title: r.title,
-      note: r.note,
-      created_at: r.created_at,
-      date: r.activity_date || r.created_at,
-      count: r.count,
-      count_number: r.count_number,
-      mission: r.mission,
-      activity_type: r.activity_type,
-      country: r.country,
-      location: r.location,
-      lat: r.lat,
-      lng: r.lng,
-      attachment: r.attachment_url ? { webPath: r.attachment_url } : null
-    }));
+    })
+  };
+  if(nextCursor){
+    out.next_cursor = nextCursor;
+    if(nextUrl) out.links = [{ rel: 'next', type: 'application/geo+json', href: nextUrl }];
+  }
+  return out;
+}
 
-    // Extract optional fields (like highlights) from raw JSON if present.
-    const normalized = rows.map(r => {
-      let rawObj = null;
-      try{
-        if(r.raw && typeof r.raw === 'string') rawObj = JSON.parse(r.raw);
-        else if(r.raw && typeof r.raw === 'object') rawObj = r.raw;
-      }catch(e){ rawObj = null; }
+exports.handler = async function(event) {
+  try {
+    if (!pool) return dbNotConfiguredResponse();
+    const params = (event && event.queryStringParameters) || {};
 
-      const highlights = rawObj && (rawObj.highlights || rawObj.highlight) ? String(rawObj.highlights || rawObj.highlight) : '';
-      const activity_type = (r.activity_type != null && String(r.activity_type).trim())
-        ? String(r.activity_type)
-        : (rawObj && rawObj.activity_type ? String(rawObj.activity_type) : '');
-      const mission = (r.mission != null && String(r.mission).trim())
-        ? String(r.mission)
-        : (rawObj && rawObj.mission ? String(rawObj.mission) : '');
-      const country = (r.country != null && String(r.country).trim())
-        ? String(r.country)
-        : (rawObj && rawObj.country ? String(rawObj.country) : parseCountryFromLocationLoose(r.location));
-      const count_number = (r.count_number != null)
-        ? parseCountNumberLoose(r.count_number)
-        : ((rawObj && rawObj.count_number != null)
-          ? parseCountNumberLoose(rawObj.count_number)
-          : parseCountNumberLoose(r.count));
+    const format = parseFormatParam(params.format);
+    const unlocated = format === 'geojson' ? parseUnlocatedParam(params.unlocated) : 'include';
 
-      // Do not return raw by default (keeps payload small), only derived fields.
-      const { raw, ...rest } = r;
-      return {
-        ...rest,
-        activity_type,
-        highlights: highlights || '',
-        mission: mission || '',
-        country: country || '',
-        count_number: count_number == null ? null : count_number
-      };
+    const page = await queryActivitiesPage(pool, params, {
+      where: unlocated === 'exclude' ? ['latitude IS NOT NULL AND longitude IS NOT NULL'] : [],
+      // GIS users load the URL as-is: give them as much as a page can hold
+      limit: (format === 'geojson' && !String(params.limit || '').trim()) ? MAX_PAGE_SIZE : undefined
     });
-    return {
-      statusCode: 200,
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(normalized)
+    const { items, nextCursor } = page;
+
+    const body = format === 'geojson'
+      ? JSON.stringify(toFeatureCollection(items, nextCursor, nextCursor ? nextPageUrl(event, nextCursor) : ''))
+      : JSON.stringify(items);
+    const headers = {
+      'Content-Type': format === 'geojson' ? 'application/geo+json' : 'application/json',
+      'Cache-Control': 'no-cache'
     };
+    if(format === 'geojson'){
+      // Partners load this straight into QGIS / Mapbox Studio from their own origins.
+      headers['Access-Control-Allow-Origin'] = '*';
+      headers['Access-Control-Expose-Headers'] = 'ETag, X-Next-Cursor';
+    }
+    if(nextCursor) headers['X-Next-Cursor'] = nextCursor;
+
+    return conditionalResponse(event, body, headers, null);
   } catch (err) {
+    if(err instanceof BadRequestError) return jsonResponse(400, { error: err.message });
     console.error('get-activities error', err);
     return { statusCode: 500, body: JSON.stringify({ error: String(err) }) };
   }
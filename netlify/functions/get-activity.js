@@ -0,0 +1,46 @@
+const { Pool } = require('pg');
+const { getActivityById } = require('../lib/activities');
+const { jsonResponse, dbNotConfiguredResponse } = require('../lib/http');
+
+// Netlify function returning one activity (same shape as a get-activities item, including
+// highlights, attachment and media). Backs the /activity/:id permalinks on the map page.
+//
+//   /.netlify/functions/get-activity?id=<uuid>
+//   /.netlify/functions/get-activity/<uuid>
+
+const connectionString = process.env.DATABASE_URL || process.env.NETLIFY_DATABASE_URL;
+
+if (!connectionString) {
+  console.warn('Missing DATABASE_URL / NETLIFY_DATABASE_URL environment variable');
+}
+
+const pool = connectionString ? new Pool({ connectionString }) : null;
+
+function idFromEvent(event){
+  const params = (event && event.queryStringParameters) || {};
+  if(params.id) return String(params.id).trim();
+  const path = String((event && event.path) || '');
+  const m = path.match(/\/get-activity\/([^/?#]+)/);
+  if(m){
+    try{ return decodeURIComponent(m[1]).trim(); }catch(e){ return m[1].trim(); }
+  }
+  return '';
+}
+
+exports.handler = async function(event) {
+  try {
+    if (!pool) return dbNotConfiguredResponse();
+    const id = idFromEvent(event);
+    if(!id || id.length > 100) return jsonResponse(400, { error: 'Missing or invalid id' });
+
+    const found = await getActivityById(pool, id);
+    if(!found) return jsonResponse(404, { error: 'Activity not found' });
+
+    const headers = { 'Cache-Control': 'no-cache' };
+    if(found.lastModified) headers['Last-Modified'] = found.lastModified.toUTCString();
+    return jsonResponse(200, found.item, headers);
+  } catch (err) {
+    console.error('get-activity error', err);
+    return { statusCode: 500, body: JSON.stringify({ error: String(err) }) };
+  }
+};
@@ -0,0 +1,43 @@
+const { Pool } = require('pg');
+const { dbNotConfiguredResponse, conditionalResponse } = require('../lib/http');
+
+// Netlify function listing the missions for the map's mission selector: the active rows of
+// mission_options (managed from the bot with /mission_add, /mission_disable, ...), in their
+// sort order, plus any other mission that live activities carry (e.g. "Legacy", older names),
+// so every mission with data can still be selected.
+//
+//   /.netlify/functions/get-missions  ->  [{ "name": "Syria", "activities": 12 }, ...]
+
+const connectionString = process.env.DATABASE_URL || process.env.NETLIFY_DATABASE_URL;
+
+if (!connectionString) {
+  console.warn('Missing DATABASE_URL / NETLIFY_DATABASE_URL environment variable');
+}
+
+const pool = connectionString ? new Pool({ connectionString }) : null;
+
+exports.handler = async function(event) {
+  try {
+    if (!pool) return dbNotConfiguredResponse();
+
+    const res = await pool.query(`
+      WITH used AS (
+        SELECT lower(trim(mission)) AS k, min(trim(mission)) AS name, count(*) AS n
+        FROM activities
+        WHERE deleted_at IS NULL AND NULLIF(trim(mission), '') IS NOT NULL
+        GROUP BY 1
+      )
+      SELECT COALESCE(o.name, u.name) AS name,
+             COALESCE(u.n, 0)::int AS activities,
+             o.sort_order
+      FROM (SELECT name, sort_order FROM mission_options WHERE active) o
+      FULL OUTER JOIN used u ON u.k = lower(trim(o.name))
+      ORDER BY (o.name IS NULL), o.sort_order NULLS LAST, COALESCE(o.name, u.name)`);
+
+    const missions = res.rows.map(r => ({ name: r.name, activities: Number(r.activities) || 0 }));
+    return conditionalResponse(event, JSON.stringify(missions), { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' });
+  } catch (err) {
+    console.error('get-missions error', err);
+    return { statusCode: 500, body: JSON.stringify({ error: String(err) }) };
+  }
+};
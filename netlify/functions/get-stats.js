@@ -0,0 +1,119 @@
+const { Pool } = require('pg');
+const { BadRequestError, buildActivityFilters, distributionRowsSql, parseListParam } = require('../lib/activities');
+const { jsonResponse, dbNotConfiguredResponse } = require('../lib/http');
+const { getSettings } = require('../../telegram-bot/lib/settings-store');
+
+// Netlify function returning the dashboard aggregates (KPI totals, 30-day deltas,
+// monthly sparkline, per mission/country/location buckets) computed in Postgres.
+// Uses the durable columns from telegram-bot/migrations/002; rows that were never
+// backfilled (npm run backfill:activities) fall back to parsing `count` / `location`,
+// matching what the page used to do client-side.
+//
+// Query parameters (all optional):
+//   tz=Asia/Kuala_Lumpur   IANA time zone used to bucket the monthly sparkline (default Asia/Kuala_Lumpur)
+//   mission=Syria          only these missions (comma-separated, case-insensitive); echoed back as `mission`
+//
+// Baselines and the KPI target are not applied here: they are returned as `settings` (the
+// settings table, set from the bot with /set_target and /set_baseline) and the page adds them on top.
+
+const connectionString = process.env.DATABASE_URL || process.env.NETLIFY_DATABASE_URL;
+
+if (!connectionString) {
+  console.warn('Missing DATABASE_URL / NETLIFY_DATABASE_URL environment variable');
+}
+
+const pool = connectionString ? new Pool({ connectionString }) : null;
+
+const DEFAULT_TZ = 'Asia/Kuala_Lumpur';
+
+function isValidTimeZone(tz){
+  try{
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  }catch(e){
+    return false;
+  }
+}
+
+function toNumber(v){
+  const n = Number(v);
+  return Number.isFinite(n) ? n : 0;
+}
+
+exports.handler = async function(event) {
+  try {
+    if (!pool) return dbNotConfiguredResponse();
+    const params = (event && event.queryStringParameters) || {};
+    const tz = String(params.tz || DEFAULT_TZ).trim();
+    if(!isValidTimeZone(tz)){
+      return jsonResponse(400, { error: 'Invalid tz: expected an IANA time zone like Asia/Kuala_Lumpur' });
+    }
+
+    const missions = parseListParam(params.mission);
+    const values = [];
+    const where = missions.length ? buildActivityFilters({ mission: params.mission }, values) : [];
+    const base = `WITH d AS (SELECT * FROM (${distributionRowsSql(where)}) x WHERE n > 0)`;
+    const tzParam = '$' + (values.length + 1);
+    const recent = "ts >= now() - interval '30 days'";
+
+    const [totalsRes, monthlyRes, bucketsRes, settings] = await Promise.all([
+      pool.query(`${base}
+        SELECT COALESCE(sum(n), 0) AS total,
+               COALESCE(sum(n) FILTER (WHERE ${recent}), 0) AS recent30,
+               COALESCE(sum(n) FILTER (WHERE is_my), 0) AS my_total,
+               COALESCE(sum(n) FILTER (WHERE is_my AND ${recent}), 0) AS my_recent30,
+               count(DISTINCT mission) FILTER (WHERE mission <> '—') AS missions,
+               count(DISTINCT country) FILTER (WHERE country <> '—') AS countries,
+               max(ts) AS last_activity_at
+        FROM d`, values),
+      pool.query(`${base}
+        SELECT extract(month FROM ts AT TIME ZONE ${tzParam})::int AS month, sum(n) AS total
+        FROM d
+        WHERE extract(year FROM ts AT TIME ZONE ${tzParam}) = extract(year FROM now() AT TIME ZONE ${tzParam})
+        GROUP BY 1`, values.concat([tz])),
+      pool.query(`${base}
+        SELECT mission, country, location, sum(n) AS total, COALESCE(sum(n) FILTER (WHERE ${recent}), 0) AS delta30
+        FROM d
+        GROUP BY mission, country, location
+        ORDER BY sum(n) DESC, mission ASC`, values),
+      getSettings(pool)
+    ]);
+
+    const t = totalsRes.rows[0] || {};
+    const monthly = new Array(12).fill(0);
+    for(const r of monthlyRes.rows){
+      const m = Number(r.month);
+      if(m >= 1 && m <= 12) monthly[m - 1] = toNumber(r.total);
+    }
+
+    const stats = {
+      generated_at: new Date().toISOString(),
+      mission: missions.length ? missions : null,
+      last_activity_at: t.last_activity_at || null,
+      distribution: { total: toNumber(t.total), recent30: toNumber(t.recent30) },
+      malaysia: { total: toNumber(t.my_total), recent30: toNumber(t.my_recent30) },
+      missions: toNumber(t.missions),
+      countries: toNumber(t.countries),
+      settings,
+      monthly: { tz, year: Number(new Intl.DateTimeFormat('en-US', { timeZone: tz, year: 'numeric' }).format(new Date())), counts: monthly },
+      buckets: bucketsRes.rows.map(r => ({
+        key: `${r.mission}||${r.country}||${r.location}`,
+        mission: r.mission,
+        country: r.country,
+        location: r.location,
+        total: toNumber(r.total),
+        delta30: toNumber(r.delta30)
+      }))
+    };
+
+    return {
+      statusCode: 200,
+      headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' },
+      body: JSON.stringify(stats)
+    };
+  } catch (err) {
+    if(err instanceof BadRequestError) return jsonResponse(400, { error: err.message });
+    console.error('get-stats error', err);
+    return { statusCode: 500, body: JSON.stringify({ error: String(err) }) };
+  }
+};
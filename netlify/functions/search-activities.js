@@ -0,0 +1,37 @@
+const { Pool } = require('pg');
+const { BadRequestError, searchActivities } = require('../lib/activities');
+const { jsonResponse, dbNotConfiguredResponse, conditionalResponse } = require('../lib/http');
+
+// Netlify function for the map page's search box: full-text search over title, note,
+// highlights, location and mission (GIN index from telegram-bot/migrations/009).
+// Words are matched as prefixes and all must match: "madrasah izhar" finds "Madrasah Izharuddin".
+//
+// Query parameters:
+//   q=madrasah izharuddin       required
+//   limit=20                    default 20, max 50
+//   mission, activity_type, country, from, to, bbox   same filters as get-activities
+//
+// Returns a JSON array of get-activities items, best match first, each with a `rank`.
+
+const connectionString = process.env.DATABASE_URL || process.env.NETLIFY_DATABASE_URL;
+
+if (!connectionString) {
+  console.warn('Missing DATABASE_URL / NETLIFY_DATABASE_URL environment variable');
+}
+
+const pool = connectionString ? new Pool({ connectionString }) : null;
+
+exports.handler = async function(event) {
+  try {
+    if (!pool) return dbNotConfiguredResponse();
+    const params = (event && event.queryStringParameters) || {};
+    if(String(params.q || '').length > 200) return jsonResponse(400, { error: 'Invalid q: at most 200 characters' });
+
+    const { items } = await searchActivities(pool, params);
+    return conditionalResponse(event, JSON.stringify(items), { 'Content-Type': 'application/json', 'Cache-Control': 'no-cache' });
+  } catch (err) {
+    if(err instanceof BadRequestError) return jsonResponse(400, { error: err.message });
+    console.error('search-activities error', err);
+    return { statusCode: 500, body: JSON.stringify({ error: String(err) }) };
+  }
+};
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const { jsonResponse } = require('../lib/http');
+
+// Telegram webhook entry point: runs the guided bot's command / message / callback_query
+// handlers (telegram-bot/server-guided.js) for one update per request, instead of the
+// long-polling Railway service. Chat state lives in Postgres (bot_sessions), so
+// DATABASE_URL / NETLIFY_DATABASE_URL is required.
+//
+// Env: TELEGRAM_BOT_TOKEN, TELEGRAM_WEBHOOK_SECRET (also passed to setWebhook as secret_token;
+// Telegram echoes it in X-Telegram-Bot-Api-Secret-Token), plus the bot's usual variables.
+// Register with: cd telegram-bot && npm run webhook:set -- https://<site>/.netlify/functions/telegram-webhook
+
+let _botModule = null;
+function getBotModule(){
+  // required lazily so a missing TELEGRAM_BOT_TOKEN is a 500, not a crashed cold start
+  if(!_botModule) _botModule = require('../../telegram-bot/server-guided');
+  return _botModule;
+}
+
+function secretMatches(given, expected){
+  const a = crypto.createHash('sha256').update(String(given || '')).digest();
+  const b = crypto.createHash('sha256').update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+exports.handler = async function(event) {
+  if(String((event && event.httpMethod) || '').toUpperCase() !== 'POST'){
+    return jsonResponse(405, { error: 'Method not allowed' }, { 'Allow': 'POST' });
+  }
+
+  const secret = (process.env.TELEGRAM_WEBHOOK_SECRET || '').trim();
+  if(!secret) return jsonResponse(503, { error: 'Webhook is disabled. Set TELEGRAM_WEBHOOK_SECRET in Netlify environment variables.' });
+  const h = (event && event.headers) || {};
+  if(!secretMatches(h['x-telegram-bot-api-secret-token'] || h['X-Telegram-Bot-Api-Secret-Token'], secret)){
+    return jsonResponse(401, { error: 'Invalid secret token' });
+  }
+
+  let update;
+  try{
+    let body = (event && event.body) || '';
+    if(event && event.isBase64Encoded) body = Buffer.from(body, 'base64').toString('utf8');
+    update = JSON.parse(body);
+  }catch(e){
+    return jsonResponse(400, { error: 'Request body is not valid JSON' });
+  }
+  if(!update || typeof update !== 'object') return jsonResponse(400, { error: 'Expected a Telegram Update object' });
+
+  let botModule;
+  try{
+    botModule = getBotModule();
+  }catch(e){
+    console.error('telegram-webhook init error', e);
+    return jsonResponse(500, { error: String(e && e.message ? e.message : e) });
+  }
+  if(!botModule.dbEnabled()){
+    return jsonResponse(500, { error: 'Webhook mode needs DATABASE_URL or NETLIFY_DATABASE_URL (chat state is kept in bot_sessions).' });
+  }
+
+  try{
+    await botModule.handleUpdate(update);
+  }catch(e){
+    // Still 200: a non-2xx makes Telegram redeliver the same update over and over.
+    console.error('telegram-webhook update error', e);
+  }
+  return { statusCode: 200, body: '' };
+};
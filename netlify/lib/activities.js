@@ -0,0 +1,318 @@
+// Shared activity query helpers for the Netlify functions.
+// Lives outside netlify/functions/ so Netlify does not deploy it as a function of its own.
+// Callers own their pg Pool and pass it in.
+// Assumes the schema from telegram-bot/migrations (run `npm run migrate` in telegram-bot/).
+
+const DEFAULT_PAGE_SIZE = 500;
+const MAX_PAGE_SIZE = 1000;
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+
+// Thrown for bad query parameters; handlers turn it into a 400.
+class BadRequestError extends Error {}
+
+function parseCountNumberLoose(value){
+  if(value == null) return null;
+  if(typeof value === 'number' && Number.isFinite(value)) return Math.round(value);
+  const t = String(value || '').trim();
+  if(!t) return null;
+  const m = t.match(/\d[\d,._\s]*/);
+  if(!m) return null;
+  const numStr = m[0].replace(/[^\d]/g, '');
+  if(!numStr) return null;
+  const n = Number(numStr);
+  if(!Number.isFinite(n)) return null;
+  return Math.round(n);
+}
+
+function parseCountryFromLocationLoose(location){
+  const s = String(location || '').trim();
+  if(!s) return '';
+  const parts = s.split(',').map(p => p.trim()).filter(Boolean);
+  if(parts.length >= 2) return parts[parts.length - 1];
+  return '';
+}
+
+function parseListParam(value){
+  return String(value || '')
+    .split(',')
+    .map(s => s.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Returns { date, dateOnly } or null when empty; throws on garbage.
+function parseDateParam(name, value){
+  const raw = String(value || '').trim();
+  if(!raw) return null;
+  const d = new Date(raw);
+  if(isNaN(d.getTime())) throw new BadRequestError(`Invalid ${name}: expected an ISO date like 2025-12-20`);
+  return { date: d, dateOnly: /^\d{4}-\d{2}-\d{2}$/.test(raw) };
+}
+
+function parseBboxParam(value){
+  const raw = String(value || '').trim();
+  if(!raw) return null;
+  const nums = raw.split(',').map(s => Number(s.trim()));
+  if(nums.length !== 4 || nums.some(n => !Number.isFinite(n))){
+    throw new BadRequestError('Invalid bbox: expected minLng,minLat,maxLng,maxLat');
+  }
+  const [minLng, minLat, maxLng, maxLat] = nums;
+  if(minLat > maxLat) throw new BadRequestError('Invalid bbox: minLat is greater than maxLat');
+  return { minLng, minLat, maxLng, maxLat };
+}
+
+function parseLimitParam(value){
+  const raw = String(value == null ? '' : value).trim();
+  if(!raw) return DEFAULT_PAGE_SIZE;
+  const n = Number(raw);
+  if(!Number.isInteger(n) || n < 1) throw new BadRequestError('Invalid limit: expected a positive integer');
+  return Math.min(n, MAX_PAGE_SIZE);
+}
+
+// Cursor = position of the last row of the previous page in the (sort date, created_at, id) ordering.
+// Timestamps are kept as Postgres text so microseconds survive the round trip.
+function encodeCursor(row){
+  const payload = JSON.stringify([row._sort_ts, row._created_ts, String(row.id)]);
+  return Buffer.from(payload, 'utf8').toString('base64url');
+}
+
+function decodeCursor(value){
+  const raw = String(value || '').trim();
+  if(!raw) return null;
+  try{
+    const parts = JSON.parse(Buffer.from(raw, 'base64url').toString('utf8'));
+    if(Array.isArray(parts) && parts.length === 3 && parts.every(p => typeof p === 'string')) return parts;
+  }catch(e){ /* fall through */ }
+  throw new BadRequestError('Invalid cursor');
+}
+
+// Builds the WHERE conditions for the shared filters
+// (mission, activity_type/type, country, from, to, bbox). Pushes bind values into `values`.
+// Always excludes soft-deleted rows.
+function buildActivityFilters(params, values){
+  const where = ['deleted_at IS NULL'];
+  function bind(v){ values.push(v); return '$' + values.length; }
+
+  const listFilters = [
+    ['mission', parseListParam(params.mission)],
+    ['activity_type', parseListParam(params.activity_type || params.type)],
+    ['country', parseListParam(params.country)]
+  ];
+  for(const [col, list] of listFilters){
+    if(!list.length) continue;
+    where.push(`lower(${col}) = ANY(${bind(list)}::text[])`);
+  }
+
+  const from = parseDateParam('from', params.from);
+  if(from) where.push(`COALESCE(activity_date, created_at) >= ${bind(from.date.toISOString())}`);
+  const to = parseDateParam('to', params.to);
+  if(to){
+    if(to.dateOnly){
+      const next = new Date(to.date.getTime() + 24 * 60 * 60 * 1000);
+      where.push(`COALESCE(activity_date, created_at) < ${bind(next.toISOString())}`);
+    } else {
+      where.push(`COALESCE(activity_date, created_at) <= ${bind(to.date.toISOString())}`);
+    }
+  }
+
+  const bbox = parseBboxParam(params.bbox);
+  if(bbox){
+    where.push(`latitude BETWEEN ${bind(bbox.minLat)} AND ${bind(bbox.maxLat)}`);
+    if(bbox.minLng <= bbox.maxLng){
+      where.push(`longitude BETWEEN ${bind(bbox.minLng)} AND ${bind(bbox.maxLng)}`);
+    } else {
+      // Box crosses the antimeridian.
+      where.push(`(longitude >= ${bind(bbox.minLng)} OR longitude <= ${bind(bbox.maxLng)})`);
+    }
+  }
+
+  return where;
+}
+
+// Row shape returned by the API: derived fields filled from raw JSON / location when the
+// durable columns are empty; raw itself is dropped to keep payloads small.
+// `media`: the activity's photos / documents in order (activity_media), or just the attachment.
+function normalizeActivityRow(r){
+  let rawObj = null;
+  try{
+    if(r.raw && typeof r.raw === 'string') rawObj = JSON.parse(r.raw);
+    else if(r.raw && typeof r.raw === 'object') rawObj = r.raw;
+  }catch(e){ rawObj = null; }
+
+  const highlights = rawObj && (rawObj.highlights || rawObj.highlight) ? String(rawObj.highlights || rawObj.highlight) : '';
+  const activity_type = (r.activity_type != null && String(r.activity_type).trim())
+    ? String(r.activity_type)
+    : (rawObj && rawObj.activity_type ? String(rawObj.activity_type) : '');
+  const mission = (r.mission != null && String(r.mission).trim())
+    ? String(r.mission)
+    : (rawObj && rawObj.mission ? String(rawObj.mission) : '');
+  const country = (r.country != null && String(r.country).trim())
+    ? String(r.country)
+    : (rawObj && rawObj.country ? String(rawObj.country) : parseCountryFromLocationLoose(r.location));
+  const count_number = (r.count_number != null)
+    ? parseCountNumberLoose(r.count_number)
+    : ((rawObj && rawObj.count_number != null)
+      ? parseCountNumberLoose(rawObj.count_number)
+      : parseCountNumberLoose(r.count));
+
+  const attachment = r.attachment_url
+    ? (r.attachment_type ? { webPath: r.attachment_url, type: r.attachment_type } : { webPath: r.attachment_url })
+    : null;
+  let media = Array.isArray(r.media) ? r.media : [];
+  if(typeof r.media === 'string'){
+    try{ media = JSON.parse(r.media) || []; }catch(e){ media = []; }
+  }
+  media = media.map(m => ({ webPath: m.webPath, type: m.type || 'photo', caption: m.caption || '' }));
+  if(!media.length && attachment) media = [{ webPath: attachment.webPath, type: attachment.type || 'photo', caption: '' }];
+
+  return {
+    id: r.id,
+    title: r.title,
+    note: r.note,
+    created_at: r.created_at,
+    date: r.activity_date || r.created_at,
+    count: r.count,
+    count_number: count_number == null ? null : count_number,
+    mission: mission || '',
+    activity_type,
+    country: country || '',
+    location: r.location,
+    lat: r.lat,
+    lng: r.lng,
+    attachment,
+    media,
+    highlights: highlights || ''
+  };
+}
+
+// SELECT list shared by the list and single-activity queries.
+function activitySelectSql(){
+  return `SELECT id, title, note, created_at, activity_date, count, mission, activity_type, count_number, country,
+                 location, latitude AS lat, longitude AS lng, attachment_url, attachment_type, raw,
+                 COALESCE(activity_date, created_at)::text AS _sort_ts, created_at::text AS _created_ts,
+                 COALESCE(updated_at, created_at) AS _modified_at,
+                 (SELECT json_agg(json_build_object('webPath', m.url, 'type', m.media_type, 'caption', m.caption) ORDER BY m.position)
+                  FROM activity_media m WHERE m.activity_id = activities.id) AS media
+          FROM activities`;
+}
+
+// Runs one page of the activities query (oldest first; opts.newestFirst flips it).
+// opts.where: extra SQL conditions (bind values already in opts.values).
+// Resolves { items, modified, nextCursor, lastModified }; modified[i] is items[i]'s last change.
+async function queryActivitiesPage(pool, params, opts){
+  opts = opts || {};
+
+  const values = (opts.values || []).slice();
+  const where = (opts.where || []).concat(buildActivityFilters(params, values));
+  const limit = opts.limit || parseLimitParam(params.limit);
+  const dir = opts.newestFirst ? 'DESC' : 'ASC';
+  const cursor = decodeCursor(params.cursor);
+  if(cursor){
+    values.push(cursor[0], cursor[1], cursor[2]);
+    const n = values.length;
+    where.push(`(COALESCE(activity_date, created_at), created_at, id::text) ${opts.newestFirst ? '<' : '>'} ($${n - 2}::timestamptz, $${n - 1}::timestamptz, $${n})`);
+  }
+  values.push(limit + 1);
+
+  const q = `${activitySelectSql()}
+             ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+             ORDER BY COALESCE(activity_date, created_at) ${dir}, created_at ${dir}, id::text ${dir}
+             LIMIT $${values.length}`;
+  const res = await pool.query(q, values);
+  const pageRows = res.rows.slice(0, limit);
+  const nextCursor = res.rows.length > limit ? encodeCursor(pageRows[pageRows.length - 1]) : '';
+
+  let lastModified = null;
+  const modified = pageRows.map(r => {
+    const t = r._modified_at ? new Date(r._modified_at) : null;
+    if(!t || isNaN(t.getTime())) return null;
+    if(!lastModified || t > lastModified) lastModified = t;
+    return t;
+  });
+
+  return { items: pageRows.map(normalizeActivityRow), modified, nextCursor, lastModified };
+}
+
+// One activity by id (compared as text so legacy non-uuid ids still resolve). Resolves null when missing.
+async function getActivityById(pool, id){
+  const res = await pool.query(`${activitySelectSql()} WHERE id::text = $1 AND deleted_at IS NULL LIMIT 1`, [String(id)]);
+  const r = res.rows[0];
+  if(!r) return null;
+  const item = normalizeActivityRow(r);
+  const t = r._modified_at ? new Date(r._modified_at) : null;
+  return { item, lastModified: (t && !isNaN(t.getTime())) ? t : null };
+}
+
+// Search text -> prefix tsquery source: every word must match the start of a word in the
+// document ("madrasah izhar" -> "madrasah:* & izhar:*"). Only letters and digits survive, so
+// user input cannot inject tsquery operators. Returns '' when nothing searchable is left.
+function parseSearchQuery(value){
+  const words = String(value || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return words.slice(0, 8).map(w => w + ':*').join(' & ');
+}
+
+// Full-text search (index from migration 009), best match first, then newest.
+// params: q (required), limit, and the shared filters (mission, type, country, from, to, bbox).
+// Resolves { items } with a `rank` on each item.
+async function searchActivities(pool, params){
+  const tsquery = parseSearchQuery(params.q);
+  if(!tsquery) throw new BadRequestError('Missing q: expected some words to search for');
+  const rawLimit = String(params.limit == null ? '' : params.limit).trim();
+  const limit = rawLimit ? Number(rawLimit) : DEFAULT_SEARCH_LIMIT;
+  if(!Number.isInteger(limit) || limit < 1) throw new BadRequestError('Invalid limit: expected a positive integer');
+
+  const values = [];
+  const where = buildActivityFilters(params, values);
+  values.push(tsquery);
+  const q = `to_tsquery('simple', $${values.length})`;
+  where.push(`to_tsvector('simple', activity_search_document(title, note, location, mission, raw)) @@ ${q}`);
+  values.push(Math.min(limit, MAX_SEARCH_LIMIT));
+
+  const res = await pool.query(`SELECT x.*, ts_rank(to_tsvector('simple', activity_search_document(x.title, x.note, x.location, x.mission, x.raw)), ${q}) AS _rank
+    FROM (${activitySelectSql()} WHERE ${where.join(' AND ')}) x
+    ORDER BY _rank DESC, COALESCE(x.activity_date, x.created_at) DESC
+    LIMIT $${values.length}`, values);
+  return { items: res.rows.map(r => Object.assign(normalizeActivityRow(r), { rank: Number(r._rank) || 0 })) };
+}
+
+// SQL for one normalized distribution row per activity. Mirrors the page's old client-side rules:
+// type contains the word "distribution", count from count_number or the first number in `count`,
+// country from the column or the last comma part of location, blanks shown as '—'.
+// `where` adds extra conditions on the activities table (e.g. from buildActivityFilters).
+function distributionRowsSql(where){
+  const looseCount = "NULLIF(left(regexp_replace(COALESCE(substring(count from '\\d[\\d,._\\s]*'), ''), '[^0-9]', '', 'g'), 15), '')::bigint";
+  const locationCountry = "CASE WHEN location LIKE '%,%' THEN NULLIF(trim(regexp_replace(location, '^.*,', '')), '') END";
+  const conds = ["activity_type ~* '\\mdistribution\\M'", 'deleted_at IS NULL'].concat(where || []);
+
+  return `SELECT COALESCE(NULLIF(trim(mission), ''), '—') AS mission,
+                 COALESCE(NULLIF(trim(country), ''), ${locationCountry}, '—') AS country,
+                 COALESCE(NULLIF(trim(location), ''), '—') AS location,
+                 COALESCE(count_number::bigint, ${looseCount}) AS n,
+                 COALESCE(activity_date, created_at) AS ts,
+                 (COALESCE(country, '') ILIKE '%malaysia%' OR COALESCE(location, '') ILIKE '%malaysia%') AS is_my
+          FROM activities
+          WHERE ${conds.join(' AND ')}`;
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  DEFAULT_SEARCH_LIMIT,
+  MAX_SEARCH_LIMIT,
+  BadRequestError,
+  parseCountNumberLoose,
+  parseCountryFromLocationLoose,
+  parseListParam,
+  parseDateParam,
+  parseBboxParam,
+  parseLimitParam,
+  encodeCursor,
+  decodeCursor,
+  buildActivityFilters,
+  normalizeActivityRow,
+  queryActivitiesPage,
+  getActivityById,
+  parseSearchQuery,
+  searchActivities,
+  distributionRowsSql
+};
@@ -0,0 +1,63 @@
+// Small response helpers shared by the Netlify functions.
+
+const crypto = require('crypto');
+
+function jsonResponse(statusCode, payload, headers){
+  return {
+    statusCode,
+    headers: Object.assign({ 'Content-Type': 'application/json' }, headers || {}),
+    body: JSON.stringify(payload)
+  };
+}
+
+function dbNotConfiguredResponse(headers){
+  return jsonResponse(500, {
+    error: 'Database is not configured. Set DATABASE_URL or NETLIFY_DATABASE_URL in Netlify environment variables.'
+  }, headers);
+}
+
+function etagFor(body){
+  return '"' + crypto.createHash('sha1').update(body).digest('base64url') + '"';
+}
+
+function etagMatches(ifNoneMatch, etag){
+  const raw = String(ifNoneMatch || '').trim();
+  if(!raw) return false;
+  if(raw === '*') return true;
+  const bare = etag.replace(/^W\//, '');
+  return raw.split(',').map(s => s.trim().replace(/^W\//, '')).includes(bare);
+}
+
+function notModifiedSince(ifModifiedSince, lastModified){
+  if(!ifModifiedSince || !lastModified) return false;
+  const since = Date.parse(ifModifiedSince);
+  if(!Number.isFinite(since)) return false;
+  // HTTP dates have second precision.
+  return Math.floor(lastModified.getTime() / 1000) <= Math.floor(since / 1000);
+}
+
+function lowerCaseHeaders(headers){
+  const out = {};
+  for(const k of Object.keys(headers || {})) out[k.toLowerCase()] = headers[k];
+  return out;
+}
+
+// 200 with ETag / Last-Modified, or 304 when the request's validators still match.
+// If-None-Match wins over If-Modified-Since when both are sent.
+function conditionalResponse(event, body, headers, lastModified){
+  const out = Object.assign({}, headers || {}, { 'ETag': etagFor(body) });
+  if(lastModified) out['Last-Modified'] = lastModified.toUTCString();
+  const reqHeaders = lowerCaseHeaders(event && event.headers);
+  const notModified = reqHeaders['if-none-match']
+    ? etagMatches(reqHeaders['if-none-match'], out['ETag'])
+    : notModifiedSince(reqHeaders['if-modified-since'], lastModified);
+  if(notModified) return { statusCode: 304, headers: out, body: '' };
+  return { statusCode: 200, headers: out, body };
+}
+
+module.exports = {
+  jsonResponse,
+  dbNotConfiguredResponse,
+  etagFor,
+  conditionalResponse
+};
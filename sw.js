@@ -0,0 +1,174 @@
+// Service worker for the map page (registered from index.html).
+// - shell: the page, its assets and the CDN libraries, so the map opens without a connection
+// - api: last good get-activities / get-stats / get-missions responses (network first); offline, a
+//   query never fetched online (another mission filter) gets the closest saved one
+// - tiles: Mapbox tiles as they are viewed (cache first), capped at TILE_CACHE_MAX_ENTRIES
+// Bump VERSION when the precache list changes; old caches are dropped on activate.
+
+const VERSION = 'v1';
+const SHELL_CACHE = 'shell-' + VERSION;
+const API_CACHE = 'api-' + VERSION;
+const TILE_CACHE = 'tiles-' + VERSION;
+
+// @2x dark tiles are ~15-40 KB: 1500 of them stays around 40 MB
+const TILE_CACHE_MAX_ENTRIES = 1500;
+
+// Same-origin files the page cannot work without (install fails if one is missing).
+const SHELL_URLS = [
+  '/',
+  '/manifest.webmanifest',
+  '/quran-map/assets/icon%20quran.png',
+  '/quran-map/assets/countries-110m.geojson'
+];
+
+// CDN files from index.html <head>; cached best-effort (a blocked CDN must not stop install).
+const CDN_URLS = [
+  'https://cdn.jsdelivr.net/npm/leaflet@1.9.3/dist/leaflet.js',
+  'https://cdn.jsdelivr.net/npm/leaflet@1.9.3/dist/leaflet.css',
+  'https://code.jquery.com/jquery-3.7.1.min.js',
+  'https://cdn.jsdelivr.net/npm/bootstrap@5.2.2/dist/js/bootstrap.bundle.min.js',
+  'https://cdn.jsdelivr.net/npm/bootstrap@5.2.2/dist/css/bootstrap.min.css',
+  'https://cdnjs.cloudflare.com/ajax/libs/Leaflet.awesome-markers/2.0.2/leaflet.awesome-markers.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/Leaflet.awesome-markers/2.0.2/leaflet.awesome-markers.css',
+  'https://cdnjs.cloudflare.com/ajax/libs/leaflet.markercluster/1.1.0/leaflet.markercluster.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/leaflet.markercluster/1.1.0/MarkerCluster.css',
+  'https://cdnjs.cloudflare.com/ajax/libs/leaflet.markercluster/1.1.0/MarkerCluster.Default.css'
+];
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'cdnjs.cloudflare.com', 'code.jquery.com', 'netdna.bootstrapcdn.com'];
+
+// Read-only functions whose last response is kept for offline viewing.
+const API_PATHS = ['/.netlify/functions/get-activities', '/.netlify/functions/get-stats', '/.netlify/functions/get-missions'];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(SHELL_URLS);
+    await Promise.all(CDN_URLS.map(url => cache.add(url).catch(e => console.warn('sw: precache failed', url, e))));
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, API_CACHE, TILE_CACHE];
+    const names = await caches.keys();
+    await Promise.all(names.filter(n => keep.indexOf(n) === -1).map(n => caches.delete(n)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const req = event.request;
+  if(req.method !== 'GET') return;
+  const url = new URL(req.url);
+
+  // page loads (/, /?mission=..., /activity/<id>) are all index.html: one cached copy under '/'
+  if(req.mode === 'navigate'){
+    event.respondWith(networkFirst(req, SHELL_CACHE, '/'));
+    return;
+  }
+  if(url.origin === self.location.origin){
+    if(API_PATHS.indexOf(url.pathname) !== -1){
+      event.respondWith(networkFirst(req, API_CACHE, null, closestCachedResponse));
+      return;
+    }
+    // generated at deploy time with the Mapbox token (no-store): keep a copy for offline
+    if(url.pathname === '/mapbox-config.js' || SHELL_URLS.indexOf(url.pathname) !== -1){
+      event.respondWith(networkFirst(req, SHELL_CACHE));
+      return;
+    }
+    return;
+  }
+  if(url.hostname === 'api.mapbox.com' && url.pathname.indexOf('/tiles/') !== -1){
+    event.respondWith(tileResponse(req));
+    return;
+  }
+  if(CDN_HOSTS.indexOf(url.hostname) !== -1){
+    event.respondWith(cacheFirst(req, SHELL_CACHE));
+  }
+});
+
+// Network first; on failure the cached copy, marked with X-SW-Cached-At so the page can say
+// it is showing saved data. cacheKey: store under this URL instead of the request's.
+// fallback(cache, req): tried when the exact URL was never cached.
+async function networkFirst(req, cacheName, cacheKey, fallback){
+  const cache = await caches.open(cacheName);
+  const key = cacheKey || req;
+  try{
+    const res = await fetch(req);
+    if(res.ok){
+      const copy = res.clone();
+      const headers = new Headers(copy.headers);
+      headers.set('X-SW-Cached-At', new Date().toISOString());
+      const body = await copy.blob();
+      await cache.put(key, new Response(body, { status: copy.status, statusText: copy.statusText, headers }));
+    }
+    return res;
+  }catch(e){
+    const hit = (await cache.match(key)) || (fallback ? await fallback(cache, req) : null);
+    if(hit) return hit;
+    throw e;
+  }
+}
+
+// Saved response for the same function whose query shares the most parameters with req
+// (newest first on ties). Not for ?cursor= pages: another page's rows would repeat or loop.
+async function closestCachedResponse(cache, req){
+  const url = new URL(req.url);
+  if(url.searchParams.has('cursor')) return null;
+  const keys = await cache.keys(req, { ignoreSearch: true });
+  let best = null;
+  let bestScore = -1;
+  let bestAt = '';
+  for(const k of keys){
+    const ku = new URL(k.url);
+    if(ku.pathname !== url.pathname || ku.searchParams.has('cursor')) continue;
+    const res = await cache.match(k);
+    if(!res) continue;
+    let score = 0;
+    url.searchParams.forEach((value, name) => { if(ku.searchParams.get(name) === value) score++; });
+    const at = res.headers.get('X-SW-Cached-At') || '';
+    if(score > bestScore || (score === bestScore && at > bestAt)){
+      best = res;
+      bestScore = score;
+      bestAt = at;
+    }
+  }
+  return best;
+}
+
+async function cacheFirst(req, cacheName){
+  const cache = await caches.open(cacheName);
+  const hit = await cache.match(req);
+  if(hit) return hit;
+  const res = await fetch(req);
+  if(res.ok || res.type === 'opaque') await cache.put(req, res.clone());
+  return res;
+}
+
+// Leaflet loads tiles as plain <img> (no-cors). Refetch them with CORS (Mapbox allows it) so
+// the cache holds normal responses: opaque ones are padded to megabytes in storage quotas.
+let tilePuts = 0;
+async function tileResponse(req){
+  const cache = await caches.open(TILE_CACHE);
+  const hit = await cache.match(req.url);
+  if(hit) return hit;
+  let res;
+  try{
+    res = await fetch(req.url, { mode: 'cors', credentials: 'omit' });
+  }catch(e){
+    return fetch(req);
+  }
+  if(res.ok){
+    await cache.put(req.url, res.clone());
+    if(++tilePuts % 25 === 0) trimCache(cache, TILE_CACHE_MAX_ENTRIES).catch(() => {});
+  }
+  return res;
+}
+
+// Drop the oldest entries (keys() is in insertion order) above maxEntries.
+async function trimCache(cache, maxEntries){
+  const keys = await cache.keys();
+  const extra = keys.length - maxEntries;
+  for(let i = 0; i < extra; i++) await cache.delete(keys[i]);
+}
@@ -0,0 +1,234 @@
+// Bulk import of activities from a partner spreadsheet (CSV or XLSX) sent to the bot as a document.
+// Reads the rows, maps columns by their header and checks every row; server-guided.js shows the
+// result as a preview and saves the good rows in one transaction (activity-store insertActivities).
+// Dates and counts go through the guided flow's own parsers, passed in by the caller.
+
+const fs = require('fs');
+const ExcelJS = require('exceljs');
+
+// One spreadsheet per import; larger files are refused (split them).
+const MAX_IMPORT_ROWS = 500;
+
+// Header names accepted for each field, compared without case, spaces, dashes or underscores.
+const COLUMN_ALIASES = {
+  title: ['title', 'name', 'activity', 'madrasah', 'school', 'institution', 'tajuk', 'nama'],
+  mission: ['mission', 'misi', 'campaign'],
+  activity_type: ['type', 'activitytype', 'jenis'],
+  date: ['date', 'activitydate', 'tarikh'],
+  count: ['count', 'quantity', 'qty', 'mushaf', 'copies', 'total', 'jumlah', 'bilangan'],
+  location: ['location', 'place', 'address', 'lokasi', 'alamat'],
+  lat: ['lat', 'latitude'],
+  lng: ['lng', 'lon', 'long', 'longitude'],
+  coordinates: ['coordinates', 'coords', 'latlng', 'latlon', 'gps', 'koordinat'],
+  country: ['country', 'negara'],
+  note: ['note', 'notes', 'remarks', 'catatan', 'description'],
+  highlights: ['highlights', 'highlight', 'quote']
+};
+
+// Thrown when the file as a whole can't be imported (unknown format, no header, too many rows).
+class ImportFileError extends Error {}
+
+// 'csv', 'xlsx' or '' for a Telegram document's file name / MIME type
+function importKindForDocument(fileName, mimeType){
+  const name = String(fileName || '').toLowerCase();
+  const mime = String(mimeType || '').toLowerCase();
+  if(/\.xlsx$/.test(name) || mime === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') return 'xlsx';
+  if(/\.csv$/.test(name) || mime === 'text/csv' || mime === 'text/comma-separated-values') return 'csv';
+  return '';
+}
+
+// RFC 4180 CSV (quoted fields, "" escapes, CRLF). The delimiter is guessed from the header line:
+// spreadsheets saved with a comma decimal separator use ';'.
+function parseCsv(text){
+  const src = String(text || '').replace(/^﻿/, '');
+  const firstLine = src.split(/\r?\n/, 1)[0] || '';
+  const counts = [',', ';', '\t'].map(d => ({ d, n: firstLine.split(d).length - 1 }));
+  const delim = counts.sort((a, b) => b.n - a.n)[0].n > 0 ? counts[0].d : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for(let i = 0; i < src.length; i++){
+    const ch = src[i];
+    if(quoted){
+      if(ch === '"' && src[i + 1] === '"'){ field += '"'; i++; }
+      else if(ch === '"') quoted = false;
+      else field += ch;
+      continue;
+    }
+    if(ch === '"' && field === '') quoted = true;
+    else if(ch === delim){ row.push(field); field = ''; }
+    else if(ch === '\n' || ch === '\r'){
+      if(ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); rows.push(row);
+      row = []; field = '';
+    }
+    else field += ch;
+  }
+  if(field !== '' || row.length) { row.push(field); rows.push(row); }
+  return rows;
+}
+
+function pad2(n){ return String(n).padStart(2, '0'); }
+
+// exceljs cell value -> text. Date cells hold the wall-clock time as UTC: kept as "YYYY-MM-DD[ HH:MM]".
+function cellText(v){
+  if(v == null) return '';
+  if(v instanceof Date){
+    if(isNaN(v.getTime())) return '';
+    const day = `${v.getUTCFullYear()}-${pad2(v.getUTCMonth() + 1)}-${pad2(v.getUTCDate())}`;
+    return (v.getUTCHours() || v.getUTCMinutes()) ? `${day} ${pad2(v.getUTCHours())}:${pad2(v.getUTCMinutes())}` : day;
+  }
+  if(typeof v === 'object'){
+    if(Array.isArray(v.richText)) return v.richText.map(r => r.text || '').join('');
+    if(v.result !== undefined) return cellText(v.result);
+    if(v.text !== undefined) return cellText(v.text);
+    return '';
+  }
+  return String(v);
+}
+
+// First worksheet as rows of cell texts.
+async function readXlsxRows(filePath){
+  const wb = new ExcelJS.Workbook();
+  try{
+    await wb.xlsx.readFile(filePath);
+  }catch(e){
+    throw new ImportFileError('Could not read the XLSX file: ' + (e.message || e));
+  }
+  const ws = wb.worksheets[0];
+  if(!ws) return [];
+  const rows = [];
+  ws.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const cells = [];
+    for(let c = 1; c <= row.cellCount; c++) cells.push(cellText(row.getCell(c).value));
+    rows[rowNumber - 1] = cells;
+  });
+  for(let i = 0; i < rows.length; i++) if(!rows[i]) rows[i] = [];
+  return rows;
+}
+
+async function readSpreadsheet(filePath, kind){
+  if(kind === 'xlsx') return readXlsxRows(filePath);
+  if(kind === 'csv') return parseCsv(fs.readFileSync(filePath, 'utf8'));
+  throw new ImportFileError('Send a .csv or .xlsx file.');
+}
+
+function headerKey(text){
+  return String(text || '').trim().toLowerCase().replace(/[\s_\-./()]+/g, '');
+}
+
+// Header row -> { fields: { title: 0, date: 3, ... }, ignored: ['Officer', ...] }
+function mapColumns(headerRow){
+  const fields = {};
+  const ignored = [];
+  (headerRow || []).forEach((h, i) => {
+    const key = headerKey(h);
+    if(!key) return;
+    const field = Object.keys(COLUMN_ALIASES).find(f => COLUMN_ALIASES[f].includes(key));
+    if(field && fields[field] == null) fields[field] = i;
+    else ignored.push(String(h).trim());
+  });
+  return { fields, ignored };
+}
+
+// "3.1516, 101.6942" / "3.1516 101.6942" -> { lat, lng }; null when not two numbers
+function parseCoordinates(text){
+  const parts = String(text || '').trim().split(/[\s,;]+/).filter(Boolean);
+  if(parts.length !== 2) return null;
+  const lat = Number(parts[0]);
+  const lng = Number(parts[1]);
+  return (Number.isFinite(lat) && Number.isFinite(lng)) ? { lat, lng } : null;
+}
+
+// Checks every data row. parsers:
+//   parseDate(text) -> ISO string or ''      parseCount(text) -> number, text or null
+//   normalizeMission(text), normalizeType(text)
+//   missionAllowed(mission) -> false when the user may not report for it (optional)
+// Resolves { fields, ignored, items: [{ row, item }], errors: [{ row, message }], rowCount }.
+// `row` is the spreadsheet row number (the header is row 1).
+function validateImportRows(rows, parsers){
+  const p = parsers || {};
+  const header = rows[0] || [];
+  const { fields, ignored } = mapColumns(header);
+  if(fields.title == null) throw new ImportFileError('No title column. The first row must name the columns, e.g. Title, Mission, Type, Date, Count, Location, Latitude, Longitude.');
+  if(fields.date == null) throw new ImportFileError('No date column. Add a Date column (e.g. 2025-12-20).');
+
+  const dataRows = [];
+  for(let i = 1; i < rows.length; i++){
+    const cells = rows[i] || [];
+    if(cells.every(c => !String(c == null ? '' : c).trim())) continue;
+    dataRows.push({ row: i + 1, cells });
+  }
+  if(dataRows.length > MAX_IMPORT_ROWS) throw new ImportFileError(`Too many rows (${dataRows.length}). Import at most ${MAX_IMPORT_ROWS} at a time.`);
+
+  const items = [];
+  const errors = [];
+  for(const { row, cells } of dataRows){
+    const get = (f) => (fields[f] == null) ? '' : String(cells[fields[f]] == null ? '' : cells[fields[f]]).trim();
+    const problems = [];
+
+    const title = get('title');
+    if(!title) problems.push('title is empty');
+
+    const dateText = get('date');
+    const date = dateText ? p.parseDate(dateText) : '';
+    if(!dateText) problems.push('date is empty');
+    else if(!date) problems.push(`date "${dateText}" not recognised (use e.g. 2025-12-20)`);
+
+    const countText = get('count');
+    const count = countText ? p.parseCount(countText) : null;
+    if(countText && !/\d/.test(countText)) problems.push(`count "${countText}" has no number`);
+
+    const mission = p.normalizeMission ? p.normalizeMission(get('mission')) : get('mission');
+    if(p.missionAllowed && !p.missionAllowed(mission)) problems.push(`you can't report for mission "${mission || '(none)'}"`);
+
+    let lat = null;
+    let lng = null;
+    const latText = get('lat');
+    const lngText = get('lng');
+    if(latText || lngText){
+      lat = Number(latText); lng = Number(lngText);
+      if(!latText || !lngText || !Number.isFinite(lat) || !Number.isFinite(lng)) problems.push('latitude and longitude must both be numbers');
+    } else if(get('coordinates')){
+      const c = parseCoordinates(get('coordinates'));
+      if(c){ lat = c.lat; lng = c.lng; }
+      else problems.push(`coordinates "${get('coordinates')}" must be "lat, lng"`);
+    }
+    if(lat != null && Number.isFinite(lat) && Math.abs(lat) > 90) problems.push('latitude must be between -90 and 90');
+    if(lng != null && Number.isFinite(lng) && Math.abs(lng) > 180) problems.push('longitude must be between -180 and 180');
+
+    if(problems.length){
+      errors.push({ row, message: problems.join('; ') });
+      continue;
+    }
+    const item = {
+      title,
+      mission,
+      activity_type: p.normalizeType ? p.normalizeType(get('activity_type')) : get('activity_type'),
+      date,
+      count,
+      location: get('location'),
+      lat,
+      lng,
+      note: get('note'),
+      highlights: get('highlights')
+    };
+    if(get('country')) item.country = get('country');
+    items.push({ row, item });
+  }
+  return { fields, ignored, items, errors, rowCount: dataRows.length };
+}
+
+module.exports = {
+  MAX_IMPORT_ROWS,
+  COLUMN_ALIASES,
+  ImportFileError,
+  importKindForDocument,
+  parseCsv,
+  readSpreadsheet,
+  mapColumns,
+  parseCoordinates,
+  validateImportRows
+};
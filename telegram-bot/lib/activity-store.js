@@ -0,0 +1,377 @@
+// Activity writes shared by the Telegram bot (server-guided.js) and the Netlify write API
+// (netlify/functions/activities.js), so both normalize and store records the same way.
+// No pg dependency here: callers pass their own Pool (the bot and the site install pg separately).
+// Assumes the schema from telegram-bot/migrations (npm run migrate).
+//
+// Photos / documents: `item.media` (a Telegram album, in order) or the single `item.attachment`.
+// Public ones are stored in activity_media (migration 013); the first is also attachment_url.
+//
+// Every write also adds an activity_revisions row (before/after snapshots + who made the change),
+// and deletes are soft (deleted_at), so /history and /restore can undo mistakes.
+// `opts.actor` identifies the writer: 'tg:<telegram user id>' from the bot, 'api:<label>' from the API.
+
+function isUuidLike(s){
+  return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(s || '').trim());
+}
+
+function parseCountNumberLoose(value){
+  if(value == null) return null;
+  if(typeof value === 'number' && Number.isFinite(value)) return Math.round(value);
+  const t = String(value || '').trim();
+  if(!t) return null;
+  // match first number-ish token, tolerate commas/spaces/underscores
+  const m = t.match(/\d[\d,._\s]*/);
+  if(!m) return null;
+  const numStr = m[0].replace(/[^\d]/g, '');
+  if(!numStr) return null;
+  const n = Number(numStr);
+  if(!Number.isFinite(n)) return null;
+  return Math.round(n);
+}
+
+function parseCountryFromLocationLoose(location){
+  const s = String(location || '').trim();
+  if(!s) return '';
+  const parts = s.split(',').map(p => p.trim()).filter(Boolean);
+  if(parts.length >= 2) return parts[parts.length - 1];
+  return '';
+}
+
+function ensureDerivedActivityFields(item){
+  const next = Object.assign({}, item || {});
+  // Always keep mission/activity_type mirrored in raw for later parsing.
+  next.mission = next.mission == null ? '' : String(next.mission);
+  next.activity_type = next.activity_type == null ? '' : String(next.activity_type);
+
+  // Derive country from location string (best-effort).
+  // Example: "Gombak, Malaysia" -> "Malaysia".
+  next.country = next.country == null ? '' : String(next.country);
+  if(!next.country){
+    next.country = parseCountryFromLocationLoose(next.location);
+  }
+
+  // Derive numeric count for aggregations (especially for distribution).
+  // Keep `count` as-is (string or number) for display, but store `count_number` as integer when detectable.
+  const countNum = parseCountNumberLoose(next.count);
+  next.count_number = (countNum == null) ? null : countNum;
+
+  // An album's first item doubles as the single attachment (cover).
+  if(Array.isArray(next.media) && next.media.length) next.attachment = Object.assign({}, next.media[0]);
+  return next;
+}
+
+// The item's media that can be shown on the site (http/https URLs only, like attachment_url).
+function publicMediaList(item){
+  if(!item) return [];
+  let list = [];
+  if(Array.isArray(item.media) && item.media.length) list = item.media;
+  else if(item.attachment) list = [item.attachment];
+  else if(item.attachment_url) list = [{ type: item.attachment_type || 'photo', webPath: item.attachment_url }];
+  return list
+    .filter(m => m && m.webPath && /^https?:\/\//i.test(String(m.webPath)))
+    .map(m => ({ type: String(m.type || 'photo'), webPath: String(m.webPath), caption: m.caption ? String(m.caption) : '' }));
+}
+
+async function replaceActivityMedia(db, id, media){
+  await db.query('DELETE FROM activity_media WHERE activity_id = $1', [id]);
+  for(let i = 0; i < media.length; i++){
+    await db.query(
+      'INSERT INTO activity_media(activity_id, position, url, media_type, caption) VALUES ($1, $2, $3, $4, $5)',
+      [id, i, media[i].webPath, media[i].type, media[i].caption || null]
+    );
+  }
+}
+
+// Columns /restore copies back from a snapshot (everything the bot or API can change).
+const RESTORABLE_COLUMNS = [
+  'title', 'note', 'activity_date', 'count', 'count_number', 'mission', 'activity_type', 'country',
+  'location', 'latitude', 'longitude', 'attachment_url', 'attachment_type', 'raw'
+];
+
+async function withTransaction(pool, fn){
+  const client = await pool.connect();
+  try{
+    await client.query('BEGIN');
+    const out = await fn(client);
+    await client.query('COMMIT');
+    return out;
+  }catch(e){
+    try{ await client.query('ROLLBACK'); }catch(_){ /* ignore */ }
+    throw e;
+  }finally{
+    client.release();
+  }
+}
+
+// Whole activities row as JSON (includes deleted_at), locked for the rest of the transaction.
+async function lockedSnapshot(db, id){
+  const r = await db.query('SELECT to_jsonb(a) AS snap FROM activities a WHERE a.id = $1 FOR UPDATE', [id]);
+  return (r.rows && r.rows[0]) ? r.rows[0].snap : null;
+}
+
+function changedFields(before, after){
+  const keys = new Set(Object.keys(before || {}).concat(Object.keys(after || {})));
+  keys.delete('updated_at');
+  return Array.from(keys).filter(k => JSON.stringify((before || {})[k]) !== JSON.stringify((after || {})[k])).sort();
+}
+
+async function recordRevision(db, id, action, actor, before, after){
+  await db.query(
+    `INSERT INTO activity_revisions(activity_id, action, changed_by, changed_fields, before, after)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [
+      id,
+      action,
+      actor || null,
+      changedFields(before, after),
+      before ? JSON.stringify(before) : null,
+      after ? JSON.stringify(after) : null
+    ]
+  );
+}
+
+// Inserts one activity inside an open transaction (db = the transaction's client).
+async function insertActivityInTransaction(db, item, actor){
+  const rawItem = ensureDerivedActivityFields(item);
+
+  const columns = [
+    'title', 'note', 'activity_date', 'count', 'count_number', 'mission', 'activity_type', 'country',
+    'location', 'latitude', 'longitude', 'attachment_url', 'attachment_type', 'raw'
+  ];
+  const values = [
+    rawItem.title || 'Activity',
+    rawItem.note || null,
+    rawItem.date ? new Date(rawItem.date).toISOString() : null,
+    rawItem.count == null ? null : String(rawItem.count),
+    rawItem.count_number == null ? null : Number(rawItem.count_number),
+    rawItem.mission || null,
+    rawItem.activity_type || null,
+    rawItem.country || null,
+    rawItem.location || null,
+    (typeof rawItem.lat === 'number') ? rawItem.lat : null,
+    (typeof rawItem.lng === 'number') ? rawItem.lng : null,
+    // Only store an attachment URL if it is already a public URL (http/https).
+    (rawItem.attachment && rawItem.attachment.webPath && /^https?:\/\//i.test(String(rawItem.attachment.webPath))) ? String(rawItem.attachment.webPath) : null,
+    (rawItem.attachment && rawItem.attachment.type) ? String(rawItem.attachment.type) : null,
+    rawItem ? JSON.stringify(rawItem) : null
+  ];
+
+  const placeholders = values.map((_, i) => '$' + (i + 1)).join(',');
+  const sql = `INSERT INTO activities(${columns.join(', ')}) VALUES (${placeholders}) RETURNING id`;
+  const r = await db.query(sql, values);
+  const id = r.rows && r.rows[0] ? r.rows[0].id : null;
+  if(id != null){
+    await replaceActivityMedia(db, id, publicMediaList(rawItem));
+    await recordRevision(db, id, 'create', actor, null, await lockedSnapshot(db, id));
+  }
+  return id;
+}
+
+async function insertActivity(pool, item, opts){
+  opts = opts || {};
+  return withTransaction(pool, (db) => insertActivityInTransaction(db, item, opts.actor));
+}
+
+// Bulk import: all items or none. Resolves the new ids in the same order.
+async function insertActivities(pool, items, opts){
+  opts = opts || {};
+  return withTransaction(pool, async (db) => {
+    const ids = [];
+    for(const item of items) ids.push(await insertActivityInTransaction(db, item, opts.actor));
+    return ids;
+  });
+}
+
+// Live (not deleted) row in the shape the bot's edit flow expects; null when missing or deleted.
+async function getActivityRowById(pool, id){
+  const q = `SELECT id,
+                    title,
+                    note,
+                    COALESCE(activity_date, created_at) AS date,
+                    count,
+                    location,
+                    latitude AS lat,
+                    longitude AS lng,
+                    attachment_url,
+                    attachment_type,
+                    raw
+             FROM activities
+             WHERE id = $1 AND deleted_at IS NULL`;
+  const r = await pool.query(q, [id]);
+  return (r.rows && r.rows[0]) ? r.rows[0] : null;
+}
+
+// Rebuilds the editable item (the shape the bot's guided flow saves) from a DB row,
+// recovering mission / activity_type / highlights from raw JSON.
+function activityItemFromRow(row){
+  if(!row) return null;
+  let rawObj = null;
+  try{
+    if(row.raw) rawObj = (typeof row.raw === 'string') ? JSON.parse(row.raw) : row.raw;
+  }catch(e){ rawObj = null; }
+  const item = Object.assign({}, rawObj || {});
+  item.id = row.id;
+  item.title = row.title || '';
+  item.note = row.note || '';
+  item.date = row.date ? new Date(row.date).toISOString() : (item.date || null);
+  item.count = (row.count == null) ? null : row.count;
+  item.location = row.location || '';
+  item.lat = (typeof row.lat === 'number') ? row.lat : null;
+  item.lng = (typeof row.lng === 'number') ? row.lng : null;
+  if(row.attachment_url || row.attachment_type){
+    item.attachment = { type: row.attachment_type || 'photo', webPath: row.attachment_url || '' };
+  }
+  return item;
+}
+
+// Resolves the id, or null when the activity is missing or deleted.
+async function updateActivity(pool, id, item, opts){
+  opts = opts || {};
+  const rawItem = ensureDerivedActivityFields(item);
+
+  const assignments = [];
+  const values = [id];
+  function add(col, val){
+    assignments.push(`${col} = $${values.length + 1}`);
+    values.push(val);
+  }
+
+  add('title', rawItem.title || 'Activity');
+  add('note', rawItem.note || null);
+  add('activity_date', rawItem.date ? new Date(rawItem.date).toISOString() : null);
+  add('count', rawItem.count == null ? null : String(rawItem.count));
+  add('count_number', rawItem.count_number == null ? null : Number(rawItem.count_number));
+  add('mission', rawItem.mission || null);
+  add('activity_type', rawItem.activity_type || null);
+  add('country', rawItem.country || null);
+  add('location', rawItem.location || null);
+  add('latitude', (typeof rawItem.lat === 'number') ? rawItem.lat : null);
+  add('longitude', (typeof rawItem.lng === 'number') ? rawItem.lng : null);
+  add('attachment_url', (rawItem.attachment && rawItem.attachment.webPath && /^https?:\/\//i.test(String(rawItem.attachment.webPath))) ? String(rawItem.attachment.webPath) : (rawItem.attachment_url || null));
+  add('attachment_type', (rawItem.attachment && rawItem.attachment.type) ? String(rawItem.attachment.type) : (rawItem.attachment_type || null));
+  add('raw', rawItem ? JSON.stringify(rawItem) : null);
+
+  const sql = `UPDATE activities SET ${assignments.join(', ')} WHERE id = $1 RETURNING id`;
+  return withTransaction(pool, async (db) => {
+    const before = await lockedSnapshot(db, id);
+    if(!before || before.deleted_at) return null;
+    const r = await db.query(sql, values);
+    await replaceActivityMedia(db, id, publicMediaList(rawItem));
+    await recordRevision(db, id, 'update', opts.actor, before, await lockedSnapshot(db, id));
+    return r.rows && r.rows[0] ? r.rows[0].id : null;
+  });
+}
+
+// Soft delete. Resolves the id, or null when the activity is missing or already deleted.
+async function deleteActivity(pool, id, opts){
+  opts = opts || {};
+  return withTransaction(pool, async (db) => {
+    const before = await lockedSnapshot(db, id);
+    if(!before || before.deleted_at) return null;
+    await db.query('UPDATE activities SET deleted_at = now(), deleted_by = $2 WHERE id = $1', [id, opts.actor || null]);
+    await recordRevision(db, id, 'delete', opts.actor, before, await lockedSnapshot(db, id));
+    return before.id;
+  });
+}
+
+// Newest first. Each revision: { id, action, changed_by, changed_at, changed_fields, before, after }.
+async function listActivityRevisions(pool, id, limit){
+  const l = Math.max(1, Math.min(Number(limit || 10), 50));
+  const r = await pool.query(
+    `SELECT id, action, changed_by, changed_at, changed_fields, before, after
+     FROM activity_revisions
+     WHERE activity_id = $1
+     ORDER BY id DESC
+     LIMIT $2`,
+    [id, l]
+  );
+  return r.rows || [];
+}
+
+// Mission and creator (changed_by of the 'create' revision; null for rows older than revisions)
+// of an activity, deleted or not, for the bot's role checks. null when it does not exist.
+async function getActivityScope(pool, id){
+  const r = await pool.query(
+    `SELECT COALESCE(a.mission, '') AS mission,
+            (SELECT changed_by FROM activity_revisions
+             WHERE activity_id = a.id AND action = 'create'
+             ORDER BY id LIMIT 1) AS created_by
+     FROM activities a
+     WHERE a.id = $1`,
+    [id]
+  );
+  const row = r.rows && r.rows[0];
+  return row ? { mission: row.mission, createdBy: row.created_by || null } : null;
+}
+
+// The album saved in a snapshot's raw JSON, else its attachment_url.
+function mediaSourceFromSnapshot(snap){
+  let rawObj = null;
+  try{ rawObj = snap.raw ? JSON.parse(snap.raw) : null; }catch(e){ rawObj = null; }
+  if(rawObj && Array.isArray(rawObj.media) && rawObj.media.length) return rawObj;
+  return { attachment_url: snap.attachment_url, attachment_type: snap.attachment_type };
+}
+
+// Puts an activity back the way it was before a revision, and undeletes it.
+// opts.revisionId: undo that revision (and everything after it). Without it: undelete a
+// deleted activity, otherwise undo the latest change.
+// Resolves { id, revision } (revision = the one that was undone, or null for a plain undelete),
+// or null when the activity does not exist. Throws when there is nothing to restore.
+async function restoreActivity(pool, id, opts){
+  opts = opts || {};
+  return withTransaction(pool, async (db) => {
+    const current = await lockedSnapshot(db, id);
+    if(!current) return null;
+
+    let target = null;
+    let revision = null;
+    if(opts.revisionId != null){
+      const r = await db.query(
+        'SELECT id, action, before FROM activity_revisions WHERE id = $1 AND activity_id = $2',
+        [opts.revisionId, id]
+      );
+      revision = r.rows && r.rows[0] ? r.rows[0] : null;
+      if(!revision) throw new Error(`Revision #${opts.revisionId} does not belong to this activity`);
+      if(!revision.before) throw new Error(`Revision #${revision.id} created the activity; there is nothing before it`);
+      target = revision.before;
+    } else if(current.deleted_at){
+      target = current;
+    } else {
+      const r = await db.query(
+        'SELECT id, action, before FROM activity_revisions WHERE activity_id = $1 AND before IS NOT NULL ORDER BY id DESC LIMIT 1',
+        [id]
+      );
+      revision = r.rows && r.rows[0] ? r.rows[0] : null;
+      if(!revision) throw new Error('No earlier version to restore');
+      target = revision.before;
+    }
+
+    const assignments = RESTORABLE_COLUMNS.map(c => `${c} = s.${c}`).concat(['deleted_at = NULL', 'deleted_by = NULL']);
+    await db.query(
+      `UPDATE activities a SET ${assignments.join(', ')}
+       FROM jsonb_populate_record(NULL::activities, $2::jsonb) s
+       WHERE a.id = $1`,
+      [id, JSON.stringify(target)]
+    );
+    await replaceActivityMedia(db, id, publicMediaList(mediaSourceFromSnapshot(target)));
+    await recordRevision(db, id, 'restore', opts.actor, current, await lockedSnapshot(db, id));
+    return { id: current.id, revision: revision ? { id: revision.id, action: revision.action } : null };
+  });
+}
+
+module.exports = {
+  isUuidLike,
+  parseCountNumberLoose,
+  parseCountryFromLocationLoose,
+  ensureDerivedActivityFields,
+  publicMediaList,
+  insertActivity,
+  insertActivities,
+  getActivityRowById,
+  activityItemFromRow,
+  updateActivity,
+  deleteActivity,
+  listActivityRevisions,
+  getActivityScope,
+  restoreActivity
+};
@@ -0,0 +1,185 @@
+// Bot roles (bot_users table, migration 012): what each Telegram user may do in
+// server-guided.js, optionally limited to missions. No pg dependency here: callers pass their own Pool.
+//
+// Until bot_users has rows the old rule applies: ids in ALLOWED_TELEGRAM_IDS (everyone when it is
+// unset) are admins. Those ids stay admins afterwards too, so the first /grant can't lock anyone out.
+
+const ROLES = ['admin', 'editor', 'reporter', 'approver'];
+
+const ROLE_LABELS = {
+  admin: 'Admin',
+  editor: 'Editor',
+  reporter: 'Field reporter',
+  approver: 'Recap approver'
+};
+
+// Names accepted by /grant and /revoke
+const ROLE_ALIASES = {
+  admin: 'admin',
+  editor: 'editor',
+  reporter: 'reporter',
+  field: 'reporter',
+  field_reporter: 'reporter',
+  approver: 'approver',
+  recap: 'approver',
+  recap_approver: 'approver'
+};
+
+// Roles allowed to do each action. 'bot.use' covers read-only commands (/list, /missions, ...).
+const ACTION_ROLES = {
+  'bot.use': ROLES,
+  'activity.create': ['admin', 'editor', 'reporter'],
+  'activity.edit': ['admin', 'editor', 'reporter'],
+  'activity.delete': ['admin', 'editor', 'reporter'],
+  'activity.history': ['admin', 'editor'],
+  'activity.restore': ['admin', 'editor'],
+  'recap.review': ['admin', 'approver'],
+  'missions.manage': ['admin'],
+  'settings.manage': ['admin'],
+  'users.manage': ['admin']
+};
+
+// Reporters may only do these to activities they created.
+const REPORTER_OWN_ONLY = ['activity.edit', 'activity.delete'];
+
+function parseRole(text){
+  const k = String(text || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return ROLE_ALIASES[k] || '';
+}
+
+// "reporter Chad", "field reporter Chad" -> { role: 'reporter', rest: 'Chad' }; role '' when unknown
+function splitRoleArgs(text){
+  const words = String(text || '').trim().split(/\s+/).filter(Boolean);
+  const two = words.length > 1 ? parseRole(words[0] + '_' + words[1]) : '';
+  if(two) return { role: two, rest: words.slice(2).join(' ') };
+  return { role: parseRole(words[0]), rest: words.slice(1).join(' ') };
+}
+
+function missionKey(mission){
+  return String(mission == null ? '' : mission).trim().toLowerCase();
+}
+
+// Access for one user: { userId, configured, grants: [{ role, mission, fromEnv }] }.
+// `configured`: bot_users has rows (otherwise only the ALLOWED_TELEGRAM_IDS rule applies).
+function accessFromAllowList(telegramId, allowedIds, configured){
+  const id = Number(telegramId);
+  const allowed = allowedIds || [];
+  const grants = [];
+  if(allowed.includes(id) || (!configured && allowed.length === 0)){
+    grants.push({ role: 'admin', mission: null, fromEnv: true });
+  }
+  return { userId: id, configured: Boolean(configured), grants };
+}
+
+async function loadAccess(pool, telegramId, allowedIds){
+  const id = Number(telegramId);
+  let rows = [];
+  let configured = false;
+  try{
+    const r = await pool.query('SELECT role, mission FROM bot_users WHERE telegram_id = $1 ORDER BY id', [id]);
+    rows = r.rows;
+    configured = rows.length > 0;
+    if(!configured){
+      const c = await pool.query('SELECT EXISTS(SELECT 1 FROM bot_users) AS configured');
+      configured = Boolean(c.rows[0].configured);
+    }
+  }catch(e){
+    // 42P01: bot_users table not created yet (npm run migrate)
+    if(!e || e.code !== '42P01') throw e;
+  }
+  const access = accessFromAllowList(id, allowedIds, configured);
+  for(const row of rows){
+    access.grants.push({ role: row.role, mission: row.mission || null, fromEnv: false });
+  }
+  return access;
+}
+
+// opts.mission: the mission involved ('' = none); leave it out to ask "for any mission at all".
+// opts.createdBy: the activity's creator ('tg:<id>', null if unknown), for the reporter rule.
+function can(access, action, opts){
+  const o = opts || {};
+  const roles = ACTION_ROLES[action];
+  if(!access || !roles) return false;
+  return access.grants.some(g => {
+    if(!roles.includes(g.role)) return false;
+    if(o.mission !== undefined && g.mission != null && missionKey(g.mission) !== missionKey(o.mission)) return false;
+    if(g.role === 'reporter' && REPORTER_OWN_ONLY.includes(action) && o.createdBy !== undefined){
+      return o.createdBy === 'tg:' + access.userId;
+    }
+    return true;
+  });
+}
+
+// Missions the user may do `action` for: null when not limited, else a list of names.
+function missionsFor(access, action){
+  const roles = ACTION_ROLES[action] || [];
+  const out = [];
+  for(const g of (access ? access.grants : [])){
+    if(!roles.includes(g.role)) continue;
+    if(g.mission == null) return null;
+    if(!out.some(m => missionKey(m) === missionKey(g.mission))) out.push(g.mission);
+  }
+  return out;
+}
+
+function formatGrant(g){
+  return (ROLE_LABELS[g.role] || g.role) + (g.mission ? ' (' + g.mission + ')' : ' (all missions)') + (g.fromEnv ? ' [ALLOWED_TELEGRAM_IDS]' : '');
+}
+
+// Returns true when added, false when the user already had it.
+async function grantRole(pool, telegramId, role, mission, grantedBy){
+  if(!ROLES.includes(role)) throw new Error('Unknown role: ' + role);
+  const r = await pool.query(
+    `INSERT INTO bot_users(telegram_id, role, mission, granted_by) VALUES ($1, $2, $3, $4)
+     ON CONFLICT DO NOTHING
+     RETURNING id`,
+    [Number(telegramId), role, role === 'admin' ? null : (String(mission || '').trim() || null), grantedBy || null]
+  );
+  return r.rows.length > 0;
+}
+
+// role / mission left out: every role / every scope of that role. Returns the removed grants.
+async function revokeRole(pool, telegramId, role, mission){
+  const params = [Number(telegramId)];
+  let where = 'telegram_id = $1';
+  if(role){
+    params.push(role);
+    where += ` AND role = $${params.length}`;
+  }
+  if(mission){
+    params.push(missionKey(mission));
+    where += ` AND lower(COALESCE(mission, '')) = $${params.length}`;
+  }
+  const r = await pool.query(`DELETE FROM bot_users WHERE ${where} RETURNING role, mission`, params);
+  return r.rows;
+}
+
+async function listGrants(pool){
+  const r = await pool.query(
+    `SELECT telegram_id, role, mission, granted_by, granted_at
+     FROM bot_users
+     ORDER BY telegram_id, array_position(ARRAY['admin','editor','reporter','approver'], role), mission NULLS FIRST`
+  );
+  return r.rows.map(row => Object.assign({}, row, { telegram_id: Number(row.telegram_id) }));
+}
+
+async function countAdmins(pool){
+  const r = await pool.query("SELECT count(DISTINCT telegram_id)::int AS n FROM bot_users WHERE role = 'admin'");
+  return Number(r.rows[0].n) || 0;
+}
+
+module.exports = {
+  ROLES,
+  ROLE_LABELS,
+  parseRole,
+  splitRoleArgs,
+  accessFromAllowList,
+  loadAccess,
+  can,
+  missionsFor,
+  formatGrant,
+  grantRole,
+  revokeRole,
+  listGrants,
+  countAdmins
+};
@@ -0,0 +1,67 @@
+// Nominatim (OpenStreetMap) search for the bot's location step: a few candidates for the user
+// to pick from, instead of trusting the first hit ("Kaya" is in Burkina Faso, Japan, ...).
+// NOMINATIM_BASE_URL points it at another server, e.g. the local stand-in
+// scripts/nominatim-stub.js in tests (plain http is fine for that).
+
+const http = require('http');
+const https = require('https');
+
+const DEFAULT_BASE_URL = 'https://nominatim.openstreetmap.org';
+const DEFAULT_USER_AGENT = 'inspirasiquran-map-bot/1.0';
+const DEFAULT_TIMEOUT_MS = 8000;
+
+// opts: { baseUrl, userAgent, timeoutMs }. Returns { search(query, limit) }; search resolves a
+// list of { lat, lng, display_name } (empty when nothing matched or Nominatim can't be reached).
+function createNominatimClient(opts){
+  const o = opts || {};
+  const baseUrl = String(o.baseUrl || DEFAULT_BASE_URL).trim().replace(/\/+$/, '');
+  const userAgent = o.userAgent || DEFAULT_USER_AGENT;
+  const timeoutMs = o.timeoutMs || DEFAULT_TIMEOUT_MS;
+
+  function search(query, limit){
+    const q = String(query || '').trim();
+    if(!q) return Promise.resolve([]);
+    const n = Math.max(1, Math.min(10, Number(limit) || 5));
+    const url = `${baseUrl}/search?format=json&limit=${n}&q=${encodeURIComponent(q)}`;
+    return new Promise((resolve) => {
+      const req = (/^http:/i.test(url) ? http : https).get(url, { headers: { 'User-Agent': userAgent }, timeout: timeoutMs }, (res) => {
+        let body = '';
+        res.on('data', c => body += c);
+        res.on('end', () => {
+          try{
+            const js = JSON.parse(body);
+            if(res.statusCode === 200 && Array.isArray(js)) return resolve(toCandidates(js));
+          }catch(e){ /* fall through */ }
+          console.warn('Nominatim search failed: HTTP', res.statusCode);
+          resolve([]);
+        });
+      });
+      req.on('timeout', () => req.destroy(new Error('timeout')));
+      req.on('error', (e) => {
+        console.warn('Nominatim search failed:', e && (e.message || e));
+        resolve([]);
+      });
+    });
+  }
+
+  return { search };
+}
+
+// Nominatim rows -> candidates, dropping rows without coordinates and repeated names.
+function toCandidates(rows){
+  const out = [];
+  for(const r of rows){
+    const lat = Number(r && r.lat);
+    const lng = Number(r && r.lon);
+    const name = String((r && r.display_name) || '').trim();
+    if(!name || !Number.isFinite(lat) || !Number.isFinite(lng)) continue;
+    if(out.some(c => c.display_name === name)) continue;
+    out.push({ lat, lng, display_name: name });
+  }
+  return out;
+}
+
+module.exports = {
+  createNominatimClient,
+  toCandidates
+};
@@ -0,0 +1,159 @@
+// Versioned schema migrations for the Neon database.
+//
+// Files live in telegram-bot/migrations as NNN_description.sql and run once each, in order.
+// Applied versions are recorded in schema_migrations (with a checksum, so edits to an
+// already-applied file show up in `status`). Up-only: fix mistakes with a new migration.
+// No pg dependency here: callers pass their own Pool.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Arbitrary constant so two runners (e.g. two deploys) never apply migrations at the same time.
+const MIGRATION_LOCK_KEY = 727001;
+
+function checksumOf(sql){
+  return crypto.createHash('sha256').update(sql.replace(/\r\n/g, '\n')).digest('hex');
+}
+
+function listMigrations(dir){
+  dir = dir || MIGRATIONS_DIR;
+  const seen = new Set();
+  return fs.readdirSync(dir)
+    .filter(f => f.endsWith('.sql'))
+    .sort()
+    .map(file => {
+      const m = file.match(/^(\d+)_([\w-]+)\.sql$/);
+      if(!m) throw new Error(`Bad migration file name: ${file} (expected NNN_description.sql)`);
+      if(seen.has(m[1])) throw new Error(`Duplicate migration version ${m[1]} (${file})`);
+      seen.add(m[1]);
+      const sql = fs.readFileSync(path.join(dir, file), 'utf8');
+      return { version: m[1], name: m[2], file, sql, checksum: checksumOf(sql) };
+    });
+}
+
+async function ensureMigrationsTable(db){
+  await db.query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version text PRIMARY KEY,
+    name text NOT NULL,
+    checksum text NOT NULL,
+    applied_at timestamptz NOT NULL DEFAULT now()
+  )`);
+}
+
+async function getAppliedMigrations(db){
+  const exists = await db.query("SELECT to_regclass('public.schema_migrations') IS NOT NULL AS ok");
+  if(!(exists.rows && exists.rows[0] && exists.rows[0].ok)) return new Map();
+  const res = await db.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  const map = new Map();
+  for(const r of (res.rows || [])) map.set(String(r.version), r);
+  return map;
+}
+
+// One entry per migration file plus any version recorded in the DB without a file.
+// state: 'applied' | 'pending' | 'changed' (file edited after it ran) | 'missing' (no file).
+// Read-only: a database that never ran the runner reports everything as pending.
+async function migrationStatus(pool, dir){
+  const applied = await getAppliedMigrations(pool);
+  const out = listMigrations(dir).map(m => {
+    const row = applied.get(m.version);
+    applied.delete(m.version);
+    if(!row) return { version: m.version, name: m.name, state: 'pending', applied_at: null };
+    return {
+      version: m.version,
+      name: m.name,
+      state: row.checksum === m.checksum ? 'applied' : 'changed',
+      applied_at: row.applied_at
+    };
+  });
+  for(const row of applied.values()){
+    out.push({ version: String(row.version), name: row.name, state: 'missing', applied_at: row.applied_at });
+  }
+  return out.sort((a, b) => a.version.localeCompare(b.version));
+}
+
+async function pendingMigrations(pool, dir){
+  return (await migrationStatus(pool, dir)).filter(m => m.state === 'pending');
+}
+
+// Records migrations up to and including `upTo` as applied without running them, for databases
+// whose schema was created before the runner existed (the old loose .sql files). Resolves the
+// recorded list; versions already in schema_migrations are left alone.
+async function baselineMigrations(pool, upTo, opts){
+  opts = opts || {};
+  const target = String(upTo || '').trim();
+  const list = listMigrations(opts.dir);
+  if(!list.some(m => m.version === target)) throw new Error(`Unknown migration version: ${target || '(none)'}`);
+  const client = await pool.connect();
+  try{
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    try{
+      await ensureMigrationsTable(client);
+      const applied = await getAppliedMigrations(client);
+      const done = [];
+      for(const m of list){
+        if(m.version.localeCompare(target) > 0) break;
+        if(applied.has(m.version)) continue;
+        await client.query(
+          'INSERT INTO schema_migrations(version, name, checksum) VALUES ($1, $2, $3)',
+          [m.version, m.name, m.checksum]
+        );
+        done.push(m);
+      }
+      return done;
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// Applies pending migrations in order, each in its own transaction. Resolves the applied list.
+async function runMigrations(pool, opts){
+  opts = opts || {};
+  const log = opts.log || (() => {});
+  const client = await pool.connect();
+  try{
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    try{
+      await ensureMigrationsTable(client);
+      const applied = await getAppliedMigrations(client);
+      const done = [];
+      for(const m of listMigrations(opts.dir)){
+        if(applied.has(m.version)) continue;
+        log(`Applying ${m.file}...`);
+        await client.query('BEGIN');
+        try{
+          await client.query(m.sql);
+          await client.query(
+            'INSERT INTO schema_migrations(version, name, checksum) VALUES ($1, $2, $3)',
+            [m.version, m.name, m.checksum]
+          );
+          await client.query('COMMIT');
+        }catch(e){
+          try{ await client.query('ROLLBACK'); }catch(_){ /* ignore */ }
+          e.message = `Migration ${m.file} failed: ${e.message}`;
+          throw e;
+        }
+        done.push(m);
+      }
+      return done;
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  listMigrations,
+  migrationStatus,
+  pendingMigrations,
+  baselineMigrations,
+  runMigrations
+};
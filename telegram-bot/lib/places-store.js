@@ -0,0 +1,98 @@
+// Place cache for the bot's location step (places table, migration 014): typed location text ->
+// the place someone confirmed for it (a picked Nominatim candidate or a dropped pin).
+// No pg dependency here: callers pass their own Pool.
+
+// "  Kaya,  Burkina Faso " -> "kaya, burkina faso"
+function normalizePlaceQuery(text){
+  return String(text || '')
+    .trim()
+    .toLowerCase()
+    .replace(/\s*,\s*/g, ', ')
+    .replace(/\s+/g, ' ');
+}
+
+function placeFromRow(row){
+  return row ? { query: row.query, display_name: row.display_name, lat: Number(row.latitude), lng: Number(row.longitude), source: row.source } : null;
+}
+
+// Resolves { query, display_name, lat, lng, source } or null. Counts the hit.
+async function findPlace(pool, text){
+  const key = normalizePlaceQuery(text);
+  if(!key) return null;
+  try{
+    const r = await pool.query(
+      `UPDATE places SET use_count = use_count + 1, last_used_at = now()
+       WHERE query_key = $1
+       RETURNING query, display_name, latitude, longitude, source`,
+      [key]
+    );
+    return placeFromRow(r.rows[0]);
+  }catch(e){
+    // 42P01: places table not created yet (npm run migrate)
+    if(e && e.code === '42P01') return null;
+    throw e;
+  }
+}
+
+// Same as findPlace without counting the hit: for previews that may never be saved.
+async function lookupPlace(pool, text){
+  const key = normalizePlaceQuery(text);
+  if(!key) return null;
+  try{
+    const r = await pool.query(
+      'SELECT query, display_name, latitude, longitude, source FROM places WHERE query_key = $1',
+      [key]
+    );
+    return placeFromRow(r.rows[0]);
+  }catch(e){
+    if(e && e.code === '42P01') return null;
+    throw e;
+  }
+}
+
+// Counts the hits of places looked up with lookupPlace once they are used (one per text).
+async function recordPlaceUses(pool, texts){
+  const keys = (texts || []).map(normalizePlaceQuery).filter(Boolean);
+  if(!keys.length) return;
+  try{
+    await pool.query(
+      `UPDATE places p SET use_count = p.use_count + u.n, last_used_at = now()
+       FROM (SELECT k, count(*)::int AS n FROM unnest($1::text[]) AS k GROUP BY k) u
+       WHERE p.query_key = u.k`,
+      [keys]
+    );
+  }catch(e){
+    if(e && e.code === '42P01') return;
+    throw e;
+  }
+}
+
+// place: { display_name, lat, lng }; source 'nominatim' or 'pin'. A later choice for the same
+// text replaces the earlier one. `confirmedBy` is the actor, e.g. 'tg:<telegram user id>'.
+async function rememberPlace(pool, text, place, source, confirmedBy){
+  const key = normalizePlaceQuery(text);
+  if(!key || !place || !Number.isFinite(Number(place.lat)) || !Number.isFinite(Number(place.lng))) return false;
+  try{
+    await pool.query(
+      `INSERT INTO places(query_key, query, display_name, latitude, longitude, source, confirmed_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (query_key) DO UPDATE SET
+         query = EXCLUDED.query, display_name = EXCLUDED.display_name,
+         latitude = EXCLUDED.latitude, longitude = EXCLUDED.longitude, source = EXCLUDED.source,
+         confirmed_by = EXCLUDED.confirmed_by, last_used_at = now()`,
+      [key, String(text).trim(), String(place.display_name || text).trim(), Number(place.lat), Number(place.lng), source === 'pin' ? 'pin' : 'nominatim', confirmedBy || null]
+    );
+    return true;
+  }catch(e){
+    if(e && e.code === '42P01') return false;
+    throw e;
+  }
+}
+
+module.exports = {
+  normalizePlaceQuery,
+  findPlace,
+  lookupPlace,
+  recordPlaceUses,
+  rememberPlace
+};
@@ -0,0 +1,92 @@
+// Per-chat bot state (guided /new and /edit session, pending menu action, recap edit) kept in
+// Postgres (bot_sessions, migrations 007 and 011), so it survives restarts and works in webhook mode
+// where every update can land on a different function instance.
+// State expires `ttlSeconds` after its last change (0: never): an expired row reads as no state and is removed.
+// No pg dependency here: callers pass their own Pool.
+
+const DEFAULT_TTL_HOURS = 72;
+
+// BOT_SESSION_TTL_HOURS -> hours; 0 keeps state forever. Unset means 72; anything that is not a
+// number >= 0 also falls back to 72, with a warning (`warn`, default console.warn).
+function parseTtlHours(value, warn){
+  const raw = String(value == null ? '' : value).trim();
+  if(!raw) return DEFAULT_TTL_HOURS;
+  const hours = Number(raw);
+  if(!Number.isFinite(hours) || hours < 0){
+    (warn || console.warn)(`Invalid BOT_SESSION_TTL_HOURS "${raw}": expected hours >= 0 (0 = never expire). Using ${DEFAULT_TTL_HOURS}.`);
+    return DEFAULT_TTL_HOURS;
+  }
+  return hours;
+}
+
+// Hours -> the ttlSeconds the functions below take (0 = never expire).
+function ttlSecondsFromHours(hours){
+  return hours > 0 ? Math.max(1, Math.round(hours * 3600)) : 0;
+}
+
+function parseState(state){
+  return (typeof state === 'string') ? JSON.parse(state) : state;
+}
+
+async function loadChatState(pool, chatId, ttlSeconds){
+  const r = await pool.query(
+    `SELECT state, ($2::int > 0 AND updated_at < now() - make_interval(secs => $2::int)) AS expired
+     FROM bot_sessions WHERE chat_id = $1`,
+    [String(chatId), Number(ttlSeconds) || 0]
+  );
+  const row = r.rows && r.rows[0];
+  if(!row || !row.state) return null;
+  if(row.expired){
+    await pool.query('DELETE FROM bot_sessions WHERE chat_id = $1', [String(chatId)]);
+    return null;
+  }
+  return parseState(row.state);
+}
+
+// A null/empty state deletes the row.
+async function saveChatState(pool, chatId, state){
+  const empty = !state || Object.keys(state).every(k => state[k] == null);
+  if(empty){
+    await pool.query('DELETE FROM bot_sessions WHERE chat_id = $1', [String(chatId)]);
+    return;
+  }
+  await pool.query(
+    `INSERT INTO bot_sessions(chat_id, state, updated_at) VALUES ($1, $2::jsonb, now())
+     ON CONFLICT (chat_id) DO UPDATE SET state = EXCLUDED.state, updated_at = now()`,
+    [String(chatId), JSON.stringify(state)]
+  );
+}
+
+// Returns how many rows were removed.
+async function deleteExpiredChatStates(pool, ttlSeconds){
+  if(!(Number(ttlSeconds) > 0)) return 0;
+  const r = await pool.query(
+    'DELETE FROM bot_sessions WHERE updated_at < now() - make_interval(secs => $1::int)',
+    [Number(ttlSeconds)]
+  );
+  return r.rowCount || 0;
+}
+
+// Chats holding a guided /new or /edit draft that changed since their last restart notice.
+// Marks them notified, so each draft change is announced at most once.
+async function claimDraftsForResumeNotice(pool, ttlSeconds){
+  const r = await pool.query(
+    `UPDATE bot_sessions SET resume_notified_at = now()
+     WHERE state->'session' IS NOT NULL AND jsonb_typeof(state->'session') = 'object'
+       AND (resume_notified_at IS NULL OR resume_notified_at < updated_at)
+       AND ($1::int <= 0 OR updated_at >= now() - make_interval(secs => $1::int))
+     RETURNING chat_id, state, updated_at`,
+    [Number(ttlSeconds) || 0]
+  );
+  return r.rows.map(row => ({ chatId: row.chat_id, state: parseState(row.state), updatedAt: row.updated_at }));
+}
+
+module.exports = {
+  DEFAULT_TTL_HOURS,
+  parseTtlHours,
+  ttlSecondsFromHours,
+  loadChatState,
+  saveChatState,
+  deleteExpiredChatStates,
+  claimDraftsForResumeNotice
+};
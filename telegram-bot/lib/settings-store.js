@@ -0,0 +1,59 @@
+// Program settings (settings table, migration 010) shared by the bot (/settings, /set_target,
+// /set_baseline) and the Netlify get-stats function, which hands them to the map page.
+// No pg dependency here: callers pass their own Pool.
+
+// Defaults apply until the migration has run (and for keys missing from the table).
+const SETTING_DEFAULTS = {
+  kpi_target: 10000000,
+  baseline_malaysia: 31230,
+  baseline_global: 1453456
+};
+
+const SETTING_LABELS = {
+  kpi_target: 'KPI target',
+  baseline_malaysia: 'Malaysia baseline',
+  baseline_global: 'Global baseline'
+};
+
+// "10,000,000", "10 000 000" or "10000000" -> 10000000; anything else -> null
+function parseSettingValue(text){
+  const t = String(text == null ? '' : text).trim();
+  if(!/^\d[\d,._\s]*$/.test(t)) return null;
+  const n = Number(t.replace(/[^\d]/g, ''));
+  return Number.isSafeInteger(n) ? n : null;
+}
+
+async function getSettings(pool){
+  const out = Object.assign({}, SETTING_DEFAULTS);
+  try{
+    const r = await pool.query('SELECT key, value FROM settings');
+    for(const row of r.rows){
+      if(Object.prototype.hasOwnProperty.call(SETTING_DEFAULTS, row.key)) out[row.key] = Number(row.value);
+    }
+  }catch(e){
+    // 42P01: settings table not created yet (npm run migrate)
+    if(!e || e.code !== '42P01') throw e;
+  }
+  return out;
+}
+
+// Returns the stored value. `updatedBy` is the actor, e.g. 'tg:<telegram user id>'.
+async function setSetting(pool, key, value, updatedBy){
+  if(!Object.prototype.hasOwnProperty.call(SETTING_DEFAULTS, key)) throw new Error('Unknown setting: ' + key);
+  if(!Number.isSafeInteger(value) || value < 0) throw new Error('Setting must be a whole number ≥ 0');
+  const r = await pool.query(
+    `INSERT INTO settings(key, value, updated_at, updated_by) VALUES ($1, $2, now(), $3)
+     ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = now(), updated_by = EXCLUDED.updated_by
+     RETURNING value`,
+    [key, value, updatedBy || null]
+  );
+  return Number(r.rows[0].value);
+}
+
+module.exports = {
+  SETTING_DEFAULTS,
+  SETTING_LABELS,
+  parseSettingValue,
+  getSettings,
+  setSetting
+};
@@ -0,0 +1,19 @@
+-- Base activities table (what the bot, recap job and Netlify functions read/write).
+-- Existing Neon databases already have it; IF NOT EXISTS makes this a no-op there.
+
+-- gen_random_uuid() is built in since Postgres 13 (Neon runs 15+).
+CREATE TABLE IF NOT EXISTS activities (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  title text,
+  note text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  activity_date timestamptz,
+  count text,
+  location text,
+  latitude double precision,
+  longitude double precision,
+  attachment_url text,
+  attachment_type text,
+  -- JSON of the item as the bot saved it (mission, activity_type, highlights, ...)
+  raw text
+);
@@ -1,6 +1,5 @@
 -- Mission categories (dynamic pick-list for the guided bot)
 --
--- Run this once in Neon SQL Editor.
 -- The bot will fall back to a built-in default list if this table doesn't exist.
 
 CREATE TABLE IF NOT EXISTS mission_options (
@@ -14,7 +13,7 @@ CREATE TABLE IF NOT EXISTS mission_options (
 CREATE INDEX IF NOT EXISTS mission_options_active_sort_idx
   ON mission_options(active, sort_order NULLS LAST, name);
 
--- Seed your current missions (safe to run multiple times)
+-- Seed your current missions (safe to run multiple times; keeps missions disabled with /mission_disable)
 INSERT INTO mission_options(name, active, sort_order) VALUES
   ('Syria', true, 10),
   ('Quran', true, 20),
@@ -23,4 +22,4 @@ INSERT INTO mission_options(name, active, sort_order) VALUES
   ('Palestin', true, 50),
   ('Hot Meals', true, 60),
   ('Iftar', true, 70)
-ON CONFLICT (name) DO UPDATE SET active = EXCLUDED.active;
+ON CONFLICT (name) DO NOTHING;
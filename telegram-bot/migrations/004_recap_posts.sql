@@ -1,7 +1,5 @@
 -- Daily Recap approval workflow (Neon Postgres)
 --
--- Run this once in Neon SQL Editor.
---
 -- Creates a table to store daily recap drafts that require approval.
 -- The Railway Cron job inserts a PENDING recap.
 -- The always-on Telegram bot handles Approve/Edit/Cancel and posts to channel.
@@ -1,14 +1,9 @@
 -- Seed legacy (previously hardcoded) dashboard rows into `activities`.
 -- This makes the new Mission+Location distribution table show those totals.
 --
--- Recommended order:
---   1) Run telegram-bot/activities-upgrade.sql (adds mission/activity_type/count_number columns)
---   2) Run this file
---
+-- Needs the mission/activity_type/count_number/country columns from 002.
 -- Safe to re-run: it deletes prior seed rows by note tag.
 
-BEGIN;
-
 DELETE FROM activities
 WHERE note = 'seed:legacy_dashboard_v1';
 
@@ -42,5 +37,3 @@ VALUES
   ('Legacy total — Tanzania — Ilala, Temeke', 'seed:legacy_dashboard_v1', '2025-01-01T00:00:00Z', 'distribution', 'Legacy', 'Tanzania', 'Ilala, Temeke', '1650', 1650, NULL, NULL, NULL, NULL, NULL),
   ('Legacy total — Ethiopia — Adama, Odomia', 'seed:legacy_dashboard_v1', '2025-01-01T00:00:00Z', 'distribution', 'Legacy', 'Ethiopia', 'Adama, Odomia', '1000', 1000, NULL, NULL, NULL, NULL, NULL),
   ('Legacy total — Ouagadougou, Burkina Faso — Madrasah Izharuddin, Kombissiri', 'seed:legacy_dashboard_v1', '2025-01-01T00:00:00Z', 'distribution', 'Legacy', 'Ouagadougou, Burkina Faso', 'Madrasah Izharuddin, Kombissiri', '8000', 8000, NULL, NULL, NULL, NULL, NULL);
-
-COMMIT;
@@ -0,0 +1,28 @@
+-- Edit history + soft delete for activities.
+--
+-- Every create/update/delete/restore made through lib/activity-store.js (bot and write API)
+-- adds a row here with full before/after snapshots of the activities row, so a bad edit
+-- can be undone with /restore. Deleting only sets deleted_at; every read filters it out.
+
+ALTER TABLE activities
+  ADD COLUMN IF NOT EXISTS deleted_at timestamptz,
+  ADD COLUMN IF NOT EXISTS deleted_by text;
+
+CREATE TABLE IF NOT EXISTS activity_revisions (
+  id bigserial PRIMARY KEY,
+  activity_id uuid NOT NULL,
+  action text NOT NULL CHECK (action IN ('create','update','delete','restore')),
+  -- who made the change: 'tg:<telegram user id>', 'api:<token label>', ...
+  changed_by text,
+  changed_at timestamptz NOT NULL DEFAULT now(),
+  changed_fields text[] NOT NULL DEFAULT '{}',
+  before jsonb,
+  after jsonb
+);
+
+CREATE INDEX IF NOT EXISTS activity_revisions_activity_idx
+  ON activity_revisions(activity_id, id DESC);
+
+CREATE INDEX IF NOT EXISTS idx_activities_live_date
+  ON activities(COALESCE(activity_date, created_at))
+  WHERE deleted_at IS NULL;
@@ -0,0 +1,8 @@
+-- Per-chat bot conversation state (guided /new and /edit drafts, pending menu prompts,
+-- recap edits). Lets the bot run as a webhook function and survive restarts.
+
+CREATE TABLE IF NOT EXISTS bot_sessions (
+  chat_id text PRIMARY KEY,
+  state jsonb NOT NULL,
+  updated_at timestamptz NOT NULL DEFAULT now()
+);
@@ -0,0 +1,24 @@
+-- Coordinates for the legacy dashboard seed rows (005), so the map draws the legacy
+-- country markers from `activities` instead of the hard-coded markers that used to live in
+-- index.html. Points are the ones those markers used (Burkina Faso: the old "launching" pin).
+--
+-- Matched by title within the seed tag; rows edited since (e.g. moved on the map) keep theirs.
+
+UPDATE activities AS a
+SET latitude = c.lat, longitude = c.lng
+FROM (VALUES
+  ('Legacy total — Tanzania — Chaani, Shangani, Potoa, Kidoti', -6.1629685, 39.1865491),
+  ('Legacy total — Chad', 15.454166, 18.732207),
+  ('Legacy total — Djibouti', 11.825138, 42.590275),
+  ('Legacy total — Niger', 17.607789, 8.081666),
+  ('Legacy total — Tanzania — Dar Es Salaam, Pulau Zanzibar', -6.1357295, 39.3621196),
+  ('Legacy total — Cameroon — Kousseri, Youndi', 12.087083, 15.0148322),
+  ('Legacy total — Sarajevo, Bosnia — Masjid Ship, Masjid Jezero, Masjid Sedrenik', 43.8598677, 18.4128265),
+  ('Legacy total — Tanzania — Ilala, Temeke', -6.9275886, 39.1335549),
+  ('Legacy total — Ethiopia — Adama, Odomia', 8.5263486, 39.2583293),
+  ('Legacy total — Ouagadougou, Burkina Faso — Madrasah Izharuddin, Kombissiri', 12.3714277, -1.5196603)
+) AS c(title, lat, lng)
+WHERE a.note = 'seed:legacy_dashboard_v1'
+  AND a.title = c.title
+  AND a.latitude IS NULL
+  AND a.longitude IS NULL;
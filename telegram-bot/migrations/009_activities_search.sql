@@ -0,0 +1,29 @@
+-- Full-text search over activities (netlify/functions/search-activities.js).
+--
+-- The document is title, note, location, mission and the highlights kept in `raw` JSON.
+-- 'simple' config: no stemming, so Malay and English words and place names match as typed.
+-- The query must use the same expression as the index:
+--   to_tsvector('simple', activity_search_document(title, note, location, mission, raw))
+
+-- raw is text written by several bot versions; anything that is not JSON counts as no highlights.
+CREATE OR REPLACE FUNCTION activity_raw_highlights(raw text)
+RETURNS text AS $$
+BEGIN
+  IF raw IS NULL OR raw = '' THEN
+    RETURN '';
+  END IF;
+  RETURN COALESCE(raw::jsonb ->> 'highlights', raw::jsonb ->> 'highlight', '');
+EXCEPTION WHEN others THEN
+  RETURN '';
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- schema-qualified: index builds run with an empty search_path (Postgres 17+)
+CREATE OR REPLACE FUNCTION activity_search_document(title text, note text, location text, mission text, raw text)
+RETURNS text AS $$
+  SELECT concat_ws(' ', title, note, location, mission, public.activity_raw_highlights(raw));
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE INDEX IF NOT EXISTS idx_activities_search
+  ON activities USING gin (to_tsvector('simple', activity_search_document(title, note, location, mission, raw)))
+  WHERE deleted_at IS NULL;
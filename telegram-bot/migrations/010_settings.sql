@@ -0,0 +1,16 @@
+-- Program settings shown on the map (KPI target, pre-system baselines), editable from the bot
+-- with /set_target and /set_baseline instead of editing index.html. get-stats returns them as
+-- `settings`. Values are whole numbers; the seed is what index.html used to hard-code.
+
+CREATE TABLE IF NOT EXISTS settings (
+  key text PRIMARY KEY,
+  value bigint NOT NULL CHECK (value >= 0),
+  updated_at timestamptz NOT NULL DEFAULT now(),
+  updated_by text
+);
+
+INSERT INTO settings(key, value) VALUES
+  ('kpi_target', 10000000),
+  ('baseline_malaysia', 31230),
+  ('baseline_global', 1453456)
+ON CONFLICT (key) DO NOTHING;
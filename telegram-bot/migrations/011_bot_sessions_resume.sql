@@ -0,0 +1,8 @@
+-- Restart notices for unfinished drafts: after a restart the polling bot tells each chat with a
+-- saved /new or /edit draft that it can carry on (/resume). resume_notified_at records the last
+-- notice so a draft is announced once per change, not on every redeploy. Old drafts are dropped
+-- after BOT_SESSION_TTL_HOURS (see lib/session-store.js); the index serves that cleanup.
+
+ALTER TABLE bot_sessions ADD COLUMN IF NOT EXISTS resume_notified_at timestamptz;
+
+CREATE INDEX IF NOT EXISTS bot_sessions_updated_at_idx ON bot_sessions(updated_at);
@@ -0,0 +1,22 @@
+-- Bot roles, replacing the flat ALLOWED_TELEGRAM_IDS list once the table has rows
+-- (see lib/bot-users.js). One row per grant; a user can hold several roles, each for every
+-- mission (mission NULL) or for one mission. Managed from the bot with /grant and /revoke.
+--
+--   admin     everything, incl. /grant, /revoke, /mission_*, /set_target, /set_baseline
+--   editor    create, edit, delete, /history and /restore activities
+--   reporter  create activities; edit / delete only the ones they created
+--   approver  approve, edit or cancel daily recaps
+
+CREATE TABLE IF NOT EXISTS bot_users (
+  id bigserial PRIMARY KEY,
+  telegram_id bigint NOT NULL,
+  role text NOT NULL CHECK (role IN ('admin', 'editor', 'reporter', 'approver')),
+  mission text,
+  granted_by text,
+  granted_at timestamptz NOT NULL DEFAULT now(),
+  -- admins are never limited to a mission
+  CHECK (role <> 'admin' OR mission IS NULL)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS bot_users_grant_key
+  ON bot_users(telegram_id, role, lower(COALESCE(mission, '')));
@@ -0,0 +1,18 @@
+-- Photos / documents of an activity, in order (field teams send Telegram albums of 5–10
+-- photos per distribution). activities.attachment_url / attachment_type keep the first one
+-- as the cover for older readers (feed, export, channel posts).
+--
+-- Written by lib/activity-store.js from the item's `media` list (mirrored in raw), so /restore
+-- puts an activity's album back together with its other fields. Activities without rows here
+-- fall back to attachment_url in get-activities.
+
+CREATE TABLE IF NOT EXISTS activity_media (
+  id bigserial PRIMARY KEY,
+  activity_id uuid NOT NULL REFERENCES activities(id) ON DELETE CASCADE,
+  position integer NOT NULL CHECK (position >= 0),
+  url text NOT NULL,
+  media_type text NOT NULL DEFAULT 'photo',
+  caption text,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  UNIQUE (activity_id, position)
+);
@@ -0,0 +1,19 @@
+-- Places confirmed at the bot's location step (see lib/places-store.js): the text that was typed
+-- and the Nominatim candidate picked for it, or the pin dropped instead. The next time someone
+-- types the same name it resolves from here straight away, without asking Nominatim (or when it
+-- is unreachable). query_key is the typed text normalized ("  Kaya,  Burkina " -> "kaya, burkina").
+
+CREATE TABLE IF NOT EXISTS places (
+  id bigserial PRIMARY KEY,
+  query_key text NOT NULL UNIQUE,
+  query text NOT NULL,
+  display_name text NOT NULL,
+  latitude double precision NOT NULL,
+  longitude double precision NOT NULL,
+  -- 'nominatim': a candidate picked from the list; 'pin': a Telegram location dropped for this name
+  source text NOT NULL DEFAULT 'nominatim' CHECK (source IN ('nominatim', 'pin')),
+  confirmed_by text,
+  use_count integer NOT NULL DEFAULT 1,
+  created_at timestamptz NOT NULL DEFAULT now(),
+  last_used_at timestamptz NOT NULL DEFAULT now()
+);
@@ -0,0 +1,20 @@
+-- Last change of each activity: get-activity sends it as Last-Modified and the feed as
+-- <updated>. Rows never edited since this ran have NULL (readers fall back to created_at).
+-- Its own migration (not part of 002) so databases baselined through 005 still get it.
+
+ALTER TABLE activities
+  ADD COLUMN IF NOT EXISTS updated_at timestamptz;
+
+-- Same function as 004_recap_posts.sql; redefining it is harmless.
+CREATE OR REPLACE FUNCTION set_updated_at()
+RETURNS trigger AS $$
+BEGIN
+  NEW.updated_at = now();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS activities_set_updated_at ON activities;
+CREATE TRIGGER activities_set_updated_at
+BEFORE UPDATE ON activities
+FOR EACH ROW EXECUTE FUNCTION set_updated_at();
@@ -274,7 +274,8 @@ async function main(){
       COALESCE(activity_date, created_at) AS date,
       raw
     FROM activities
-    WHERE COALESCE(activity_date, created_at) >= $1
+    WHERE deleted_at IS NULL
+      AND COALESCE(activity_date, created_at) >= $1
       AND COALESCE(activity_date, created_at) < $2
     ORDER BY COALESCE(activity_date, created_at) ASC, created_at ASC
   `;
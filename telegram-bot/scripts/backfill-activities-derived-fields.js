@@ -2,7 +2,7 @@
 Backfill derived fields into the `activities` table.
 
 - Ensures `raw` JSON contains: mission, activity_type, count_number
-- Optionally updates columns mission/activity_type/count_number if they exist
+- Updates columns mission/activity_type/country/count_number to match (run `npm run migrate` first)
 
 Usage (PowerShell):
   cd telegram-bot
@@ -51,29 +51,10 @@ function parseCountryFromLocationLoose(location){
   return '';
 }
 
-async function getActivitiesColumns(pool){
-  const res = await pool.query(
-    "SELECT column_name FROM information_schema.columns WHERE table_schema = 'public' AND table_name = 'activities'"
-  );
-  return new Set((res.rows || []).map(r => String(r.column_name || '').trim()).filter(Boolean));
-}
-
 async function main(){
   const pool = new Pool({ connectionString });
   try{
-    const cols = await getActivitiesColumns(pool);
-    const hasMission = cols.has('mission');
-    const hasActivityType = cols.has('activity_type');
-    const hasCountNumber = cols.has('count_number');
-    const hasCountry = cols.has('country');
-
-    const selectCols = ['id', 'count', 'raw'];
-    if(hasMission) selectCols.push('mission');
-    if(hasActivityType) selectCols.push('activity_type');
-    if(hasCountNumber) selectCols.push('count_number');
-    if(hasCountry) selectCols.push('country');
-
-    const q = `SELECT ${selectCols.join(', ')} FROM activities ORDER BY COALESCE(activity_date, created_at) ASC` + (limit ? ` LIMIT ${limit}` : '');
+    const q = `SELECT id, count, location, raw, mission, activity_type, count_number, country FROM activities ORDER BY COALESCE(activity_date, created_at) ASC` + (limit ? ` LIMIT ${limit}` : '');
     const res = await pool.query(q);
 
     let scanned = 0;
@@ -104,10 +85,10 @@ async function main(){
       const nextRaw = { ...rawObj, mission, activity_type: activityType, country, count_number: (countNumber == null ? null : countNumber) };
 
       const rawChanged = JSON.stringify(nextRaw) !== JSON.stringify(rawObj);
-      const missionChanged = hasMission && (row.mission == null ? '' : String(row.mission)) !== mission;
-      const typeChanged = hasActivityType && (row.activity_type == null ? '' : String(row.activity_type)) !== activityType;
-      const countNumChanged = hasCountNumber && (row.count_number == null ? null : Number(row.count_number)) !== (countNumber == null ? null : Number(countNumber));
-      const countryChanged = hasCountry && (row.country == null ? '' : String(row.country)) !== country;
+      const missionChanged = (row.mission == null ? '' : String(row.mission)) !== mission;
+      const typeChanged = (row.activity_type == null ? '' : String(row.activity_type)) !== activityType;
+      const countNumChanged = (row.count_number == null ? null : Number(row.count_number)) !== (countNumber == null ? null : Number(countNumber));
+      const countryChanged = (row.country == null ? '' : String(row.country)) !== country;
 
       if(!(rawChanged || missionChanged || typeChanged || countNumChanged || countryChanged)) continue;
 
@@ -122,10 +103,10 @@ async function main(){
       function add(col, val){ assignments.push(`${col} = $${values.length + 1}`); values.push(val); }
 
       add('raw', JSON.stringify(nextRaw));
-      if(hasMission) add('mission', mission || null);
-      if(hasActivityType) add('activity_type', activityType || null);
-      if(hasCountry) add('country', country || null);
-      if(hasCountNumber) add('count_number', countNumber == null ? null : Number(countNumber));
+      add('mission', mission || null);
+      add('activity_type', activityType || null);
+      add('country', country || null);
+      add('count_number', countNumber == null ? null : Number(countNumber));
 
       const uq = `UPDATE activities SET ${assignments.join(', ')} WHERE id = $1`;
       await pool.query(uq, values);
@@ -0,0 +1,69 @@
+/*
+Apply or inspect database migrations (telegram-bot/migrations/NNN_*.sql).
+
+Usage:
+  cd telegram-bot
+  npm run migrate          # apply pending migrations in order
+  npm run migrate:status   # list applied / pending migrations
+  npm run migrate:baseline -- 005   # record 001..005 as applied without running them
+
+Env:
+  DATABASE_URL or NETLIFY_DATABASE_URL (same as bot)
+
+Databases set up by pasting the old loose .sql files into the Neon SQL editor already have
+001..005: baseline them once instead of running them again (005 would re-create the legacy rows).
+*/
+
+const { Pool } = require('pg');
+const { migrationStatus, baselineMigrations, runMigrations } = require('../lib/migrations');
+
+const connectionString = process.env.DATABASE_URL || process.env.NETLIFY_DATABASE_URL;
+if(!connectionString){
+  console.error('Missing DATABASE_URL / NETLIFY_DATABASE_URL');
+  process.exit(1);
+}
+
+const command = (process.argv[2] || 'up').toLowerCase();
+
+function formatDate(d){
+  if(!d) return '';
+  const t = (d instanceof Date) ? d : new Date(d);
+  return isNaN(t.getTime()) ? String(d) : t.toISOString();
+}
+
+async function printStatus(pool){
+  const rows = await migrationStatus(pool);
+  for(const m of rows){
+    console.log(`${m.state.padEnd(8)} ${m.version}_${m.name}${m.applied_at ? '  ' + formatDate(m.applied_at) : ''}`);
+  }
+  const pending = rows.filter(m => m.state === 'pending').length;
+  const changed = rows.filter(m => m.state === 'changed').length;
+  console.log(`${rows.length} migrations; ${pending} pending${changed ? `; ${changed} changed after being applied` : ''}.`);
+}
+
+async function main(){
+  const pool = new Pool({ connectionString });
+  try{
+    if(command === 'status') return await printStatus(pool);
+    if(command === 'baseline'){
+      const recorded = await baselineMigrations(pool, process.argv[3]);
+      for(const m of recorded) console.log(`Recorded ${m.file} (not run)`);
+      console.log(`Recorded ${recorded.length} migration(s) as applied.`);
+      return;
+    }
+    if(command !== 'up'){
+      console.error(`Unknown command: ${command} (expected "up", "status" or "baseline <version>")`);
+      process.exitCode = 1;
+      return;
+    }
+    const applied = await runMigrations(pool, { log: (s) => console.log(s) });
+    console.log(applied.length ? `Applied ${applied.length} migration(s).` : 'Database is up to date.');
+  } finally {
+    await pool.end();
+  }
+}
+
+main().catch(err => {
+  console.error('Migration failed:', err.message || err);
+  process.exit(1);
+});
@@ -0,0 +1,74 @@
+// Minimal local stand-in for Nominatim's /search, for exercising the bot's location step offline.
+// Point the bot at it with NOMINATIM_BASE_URL=http://127.0.0.1:<port>.
+// Answers from a small list of places (every word of q must appear in the name); requests are recorded.
+//
+// Usage: node scripts/nominatim-stub.js [port]   (logs requests to stdout)
+// Or:    const { startNominatimStub } = require('./nominatim-stub');
+//        startNominatimStub({ places: [{ display_name, lat, lon }], fail: true /* answer 503 */ })
+
+const http = require('http');
+
+// Names that really are ambiguous, so the candidate keyboard has something to show.
+const DEFAULT_PLACES = [
+  { display_name: 'Kaya, Sanmatenga, Centre-Nord, Burkina Faso', lat: '13.0917', lon: '-1.0844' },
+  { display_name: 'Kaya, Kyoto Prefecture, Japan', lat: '35.0853', lon: '135.1061' },
+  { display_name: 'Kaya, Kaduna State, Nigeria', lat: '10.5420', lon: '7.8010' },
+  { display_name: 'Adama, East Shewa, Oromia, Ethiopia', lat: '8.5400', lon: '39.2700' },
+  { display_name: 'Adama, Borno State, Nigeria', lat: '11.9000', lon: '13.2700' },
+  { display_name: 'Abéché, Ouaddaï, Chad', lat: '13.8292', lon: '20.8324' },
+  { display_name: 'Kuala Lumpur, Malaysia', lat: '3.1516', lon: '101.6942' }
+];
+
+function fold(text){
+  return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+function startNominatimStub(opts){
+  const o = opts || {};
+  const places = o.places || DEFAULT_PLACES;
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://stub');
+    const q = url.searchParams.get('q') || '';
+    requests.push({ path: url.pathname, q, limit: Number(url.searchParams.get('limit')) || null });
+    if(typeof o.onRequest === 'function') o.onRequest({ path: url.pathname, q });
+    if(o.fail || url.pathname !== '/search'){
+      res.writeHead(o.fail ? 503 : 404, { 'Content-Type': 'application/json' });
+      res.end('{"error":"unavailable"}');
+      return;
+    }
+    const words = fold(q).split(/[\s,]+/).filter(Boolean);
+    const limit = Number(url.searchParams.get('limit')) || 10;
+    const hits = places.filter(p => words.length && words.every(w => fold(p.display_name).includes(w))).slice(0, limit);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(hits));
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(o.port || 0, '127.0.0.1', () => {
+      const port = server.address().port;
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        requests,
+        close: () => new Promise(r => server.close(() => r()))
+      });
+    });
+  });
+}
+
+module.exports = { startNominatimStub, DEFAULT_PLACES };
+
+if(require.main === module){
+  const port = Number(process.argv[2]) || 8082;
+  startNominatimStub({
+    port,
+    onRequest: ({ path, q }) => console.log(path, JSON.stringify(q))
+  }).then(stub => {
+    console.log(`Nominatim stub listening on ${stub.url}`);
+  }).catch(e => {
+    console.error(e && e.message ? e.message : e);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,48 @@
+// Points Telegram at the Netlify webhook function and registers the bot's command menu.
+// Stop the polling service first: starting polling deletes the webhook again.
+//
+// Usage: TELEGRAM_BOT_TOKEN=... TELEGRAM_WEBHOOK_SECRET=... \
+//   node scripts/set-webhook.js https://<site>/.netlify/functions/telegram-webhook
+//   node scripts/set-webhook.js --delete     (back to polling)
+
+async function main(){
+  const arg = String(process.argv[2] || '').trim();
+  if(!arg){
+    console.error('Usage: node scripts/set-webhook.js <https url> | --delete');
+    process.exit(1);
+  }
+
+  const { bot, registerBotCommands } = require('../server-guided');
+
+  if(arg === '--delete'){
+    await bot.deleteWebHook();
+    console.log('Webhook deleted. Start the polling service again (npm start).');
+    return;
+  }
+
+  if(!/^https:\/\//i.test(arg)){
+    console.error('Telegram only delivers webhooks to https:// URLs.');
+    process.exit(1);
+  }
+  const secret = (process.env.TELEGRAM_WEBHOOK_SECRET || '').trim();
+  if(!secret){
+    console.error('Set TELEGRAM_WEBHOOK_SECRET (the same value as in Netlify environment variables).');
+    process.exit(1);
+  }
+
+  await bot.setWebHook(arg, {
+    secret_token: secret,
+    // one update at a time: the photos of an album must not load / save the chat state side by side
+    max_connections: 1,
+    allowed_updates: JSON.stringify(['message', 'callback_query'])
+  });
+  await registerBotCommands();
+  const info = await bot.getWebHookInfo();
+  console.log('Webhook set:', info && info.url);
+  if(info && info.last_error_message) console.log('Last delivery error:', info.last_error_message);
+}
+
+main().then(() => process.exit(0)).catch(e => {
+  console.error(e && e.message ? e.message : e);
+  process.exit(1);
+});
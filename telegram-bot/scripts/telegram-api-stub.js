@@ -0,0 +1,146 @@
+// Minimal local stand-in for the Telegram Bot API, for exercising the bot without Telegram.
+// Point the bot at it with TELEGRAM_API_BASE_URL=http://127.0.0.1:<port>.
+// Every call is recorded (method + params) and answered with a plausible result.
+//
+// Usage: node scripts/telegram-api-stub.js [port]   (logs calls to stdout)
+// Or:    const { startTelegramApiStub } = require('./telegram-api-stub');
+//        opts.files: { <file_id>: Buffer | string } served for those ids (e.g. a CSV sent to /import).
+
+const http = require('http');
+const querystring = require('querystring');
+
+// 1x1 PNG served for /file/bot<token>/<path> downloads, unless opts.files has content for that file_id.
+const TINY_PNG = Buffer.from(
+  'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=',
+  'base64'
+);
+
+function parseBody(req, raw){
+  const type = String(req.headers['content-type'] || '');
+  const text = raw.toString('utf8');
+  if(/application\/json/i.test(type)){
+    try{ return JSON.parse(text || '{}'); }catch(e){ return {}; }
+  }
+  if(/application\/x-www-form-urlencoded/i.test(type)) return querystring.parse(text);
+  if(/multipart\/form-data/i.test(type)){
+    // text fields only; file parts are recorded by name
+    const out = {};
+    const m = type.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+    const boundary = m ? (m[1] || m[2]) : null;
+    if(!boundary) return out;
+    for(const part of text.split('--' + boundary)){
+      const nm = part.match(/name="([^"]+)"(?:; filename="([^"]*)")?/i);
+      if(!nm) continue;
+      const idx = part.indexOf('\r\n\r\n');
+      out[nm[1]] = nm[2] != null ? { filename: nm[2] } : (idx >= 0 ? part.slice(idx + 4).replace(/\r\n$/, '') : '');
+    }
+    return out;
+  }
+  return {};
+}
+
+function parseMaybeJson(v){
+  if(typeof v !== 'string') return v;
+  try{ return JSON.parse(v); }catch(e){ return v; }
+}
+
+function startTelegramApiStub(opts){
+  const o = opts || {};
+  const calls = [];
+  let nextMessageId = 1000;
+  const chat = (id) => ({ id: Number(id) || id, type: 'private' });
+  const files = o.files || {};
+  const fileContent = (fileId) => Object.prototype.hasOwnProperty.call(files, fileId) ? Buffer.from(files[fileId]) : null;
+
+  function result(method, params){
+    const now = Math.floor(Date.now() / 1000);
+    switch(method){
+      case 'getMe':
+        return { id: 1, is_bot: true, first_name: 'Stub', username: 'stub_bot' };
+      case 'sendMessage':
+        return { message_id: ++nextMessageId, date: now, chat: chat(params.chat_id), text: params.text };
+      case 'sendPhoto':
+        return { message_id: ++nextMessageId, date: now, chat: chat(params.chat_id), photo: [{ file_id: 'stub-photo', width: 1, height: 1 }] };
+      case 'sendDocument':
+        return { message_id: ++nextMessageId, date: now, chat: chat(params.chat_id), document: { file_id: 'stub-doc' } };
+      case 'sendMediaGroup':
+        return (parseMaybeJson(params.media) || []).map(m => ({ message_id: ++nextMessageId, date: now, chat: chat(params.chat_id), caption: m.caption }));
+      case 'editMessageText':
+        return { message_id: Number(params.message_id) || 0, date: now, chat: chat(params.chat_id), text: params.text };
+      case 'getFile': {
+        const content = fileContent(params.file_id);
+        if(content) return { file_id: params.file_id, file_unique_id: String(params.file_id), file_size: content.length, file_path: 'documents/' + encodeURIComponent(params.file_id) };
+        return { file_id: params.file_id, file_unique_id: String(params.file_id), file_size: TINY_PNG.length, file_path: 'photos/' + params.file_id + '.png' };
+      }
+      case 'getWebhookInfo':
+        return { url: '', has_custom_certificate: false, pending_update_count: 0 };
+      case 'getUpdates':
+        return [];
+      default:
+        // setMyCommands, answerCallbackQuery, editMessageReplyMarkup, setWebHook, deleteWebHook, ...
+        return true;
+    }
+  }
+
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', c => chunks.push(c));
+    req.on('end', () => {
+      const [url, qs] = String(req.url || '').split('?');
+      if(/^\/file\/bot[^/]+\//.test(url)){
+        const doc = url.match(/^\/file\/bot[^/]+\/documents\/(.+)$/);
+        const content = doc ? fileContent(decodeURIComponent(doc[1])) : null;
+        if(content){
+          res.writeHead(200, { 'Content-Type': 'application/octet-stream', 'Content-Length': content.length });
+          res.end(content);
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': 'image/png', 'Content-Length': TINY_PNG.length });
+        res.end(TINY_PNG);
+        return;
+      }
+      const m = url.match(/^\/bot[^/]+\/([A-Za-z]+)$/);
+      if(!m){
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: false, error_code: 404, description: 'Not Found' }));
+        return;
+      }
+      const method = m[1];
+      // setWebHook and a few others send their options in the query string
+      const params = Object.assign({}, querystring.parse(qs || ''), parseBody(req, Buffer.concat(chunks)));
+      if(params.reply_markup) params.reply_markup = parseMaybeJson(params.reply_markup);
+      if(params.commands) params.commands = parseMaybeJson(params.commands);
+      calls.push({ method, params });
+      if(typeof o.onCall === 'function') o.onCall({ method, params });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, result: result(method, params) }));
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(o.port || 0, '127.0.0.1', () => {
+      const port = server.address().port;
+      resolve({
+        url: `http://127.0.0.1:${port}`,
+        calls,
+        close: () => new Promise(r => server.close(() => r()))
+      });
+    });
+  });
+}
+
+module.exports = { startTelegramApiStub };
+
+if(require.main === module){
+  const port = Number(process.argv[2]) || 8081;
+  startTelegramApiStub({
+    port,
+    onCall: ({ method, params }) => console.log(method, JSON.stringify(params))
+  }).then(stub => {
+    console.log(`Telegram Bot API stub listening on ${stub.url}`);
+  }).catch(e => {
+    console.error(e && e.message ? e.message : e);
+    process.exit(1);
+  });
+}
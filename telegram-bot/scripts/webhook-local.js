@@ -0,0 +1,97 @@
+// Runs updates through the Netlify webhook function (netlify/functions/telegram-webhook.js)
+// locally, against the Bot API stub (scripts/telegram-api-stub.js) instead of Telegram, and
+// prints the Bot API calls the bot made. Needs DATABASE_URL (chat state goes to bot_sessions).
+// Typed locations are looked up in the Nominatim stand-in (scripts/nominatim-stub.js) unless
+// NOMINATIM_BASE_URL is set.
+//
+// Usage: node scripts/webhook-local.js [--user <id>] [--chat <id>] <update> [<update> ...]
+//   <update> is message text ("/new", "Quran class") or "cb:<callback data>" for a button tap.
+// Example: npm run webhook:local -- /new "Tadarus" /skip
+
+const path = require('path');
+const { startTelegramApiStub } = require('./telegram-api-stub');
+const { startNominatimStub } = require('./nominatim-stub');
+
+function parseArgs(argv){
+  const out = { userId: 1, chatId: null, inputs: [] };
+  for(let i = 0; i < argv.length; i++){
+    const a = argv[i];
+    if(a === '--user'){ out.userId = Number(argv[++i]); continue; }
+    if(a === '--chat'){ out.chatId = Number(argv[++i]); continue; }
+    out.inputs.push(a);
+  }
+  if(out.chatId == null) out.chatId = out.userId;
+  return out;
+}
+
+function buildUpdate(updateId, input, args){
+  const from = { id: args.userId, is_bot: false, first_name: 'Local' };
+  const chat = { id: args.chatId, type: 'private' };
+  const date = Math.floor(Date.now() / 1000);
+  if(/^cb:/i.test(input)){
+    return {
+      update_id: updateId,
+      callback_query: {
+        id: 'cb' + updateId,
+        from,
+        chat_instance: 'local',
+        data: input.slice(3),
+        message: { message_id: updateId, date, chat, text: '' }
+      }
+    };
+  }
+  const message = { message_id: updateId, date, chat, from, text: input };
+  const cmd = input.match(/^\/\w+/);
+  if(cmd) message.entities = [{ type: 'bot_command', offset: 0, length: cmd[0].length }];
+  return { update_id: updateId, message };
+}
+
+async function main(){
+  const args = parseArgs(process.argv.slice(2));
+  if(!args.inputs.length){
+    console.error('Usage: node scripts/webhook-local.js [--user <id>] [--chat <id>] <text | cb:data> ...');
+    process.exit(1);
+  }
+
+  const stub = await startTelegramApiStub();
+  process.env.TELEGRAM_API_BASE_URL = stub.url;
+  const geoStub = process.env.NOMINATIM_BASE_URL ? null : await startNominatimStub();
+  if(geoStub) process.env.NOMINATIM_BASE_URL = geoStub.url;
+  process.env.TELEGRAM_BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN || 'local:stub-token';
+  process.env.TELEGRAM_WEBHOOK_SECRET = process.env.TELEGRAM_WEBHOOK_SECRET || 'local-secret';
+  if(!process.env.ALLOWED_TELEGRAM_IDS) process.env.ALLOWED_TELEGRAM_IDS = String(args.userId);
+
+  const { handler } = require(path.resolve(__dirname, '..', '..', 'netlify', 'functions', 'telegram-webhook.js'));
+
+  let updateId = Math.floor(Date.now() / 1000);
+  try{
+    for(const input of args.inputs){
+      const seen = stub.calls.length;
+      const res = await handler({
+        httpMethod: 'POST',
+        headers: { 'x-telegram-bot-api-secret-token': process.env.TELEGRAM_WEBHOOK_SECRET },
+        body: JSON.stringify(buildUpdate(++updateId, input, args))
+      });
+      console.log(`> ${input}  [${res.statusCode}${res.body ? ' ' + res.body : ''}]`);
+      for(const c of stub.calls.slice(seen)){
+        const p = c.params || {};
+        const text = p.text != null ? String(p.text) : (p.caption != null ? String(p.caption) : '');
+        console.log(`  ${c.method}${text ? ': ' + text.replace(/\n/g, '\n    ') : ''}`);
+        const kb = p.reply_markup && p.reply_markup.inline_keyboard;
+        if(Array.isArray(kb)){
+          for(const row of kb) console.log('    [' + row.map(b => `${b.text} -> ${b.callback_data || b.url || ''}`).join(' | ') + ']');
+        }
+      }
+    }
+  }finally{
+    await stub.close();
+    if(geoStub) await geoStub.close();
+  }
+  // the bot module keeps a pg pool open
+  process.exit(0);
+}
+
+main().catch(e => {
+  console.error(e && e.stack ? e.stack : e);
+  process.exit(1);
+});
@@ -1,5 +1,7 @@
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
+const http = require('http');
 const https = require('https');
 const TelegramBot = require('node-telegram-bot-api');
 
@@ -21,16 +23,33 @@ try{
   Pool = null;
 }
 
-function isUuidLike(s){
-  return /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(s || '').trim());
-}
+// Shared with the Netlify write API (netlify/functions/activities.js).
+const activityStore = require('./lib/activity-store');
+const migrations = require('./lib/migrations');
+const sessionStore = require('./lib/session-store');
+const settingsStore = require('./lib/settings-store');
+const botUsers = require('./lib/bot-users');
+const placesStore = require('./lib/places-store');
+const { createNominatimClient } = require('./lib/geocoder');
+const activityImport = require('./lib/activity-import');
+const {
+  isUuidLike,
+  parseCountNumberLoose,
+  parseCountryFromLocationLoose
+} = activityStore;
+
+// Run directly (`node server-guided.js`): long polling. Required as a module (the Netlify
+// telegram-webhook function): nothing starts; updates come in through handleUpdate().
+const IS_MAIN = require.main === module;
 
 const TOKEN = process.env.TELEGRAM_BOT_TOKEN;
 if(!TOKEN){
   console.error('Please set TELEGRAM_BOT_TOKEN environment variable');
-  process.exit(1);
+  if(IS_MAIN) process.exit(1);
+  throw new Error('TELEGRAM_BOT_TOKEN is not set');
 }
 
+// Bootstrap admins; roles live in bot_users (see lib/bot-users.js).
 const ALLOWED = (process.env.ALLOWED_TELEGRAM_IDS || '').split(',').map(s=>s.trim()).filter(Boolean).map(Number);
 // Optional: announce saved activities to a Telegram channel/chat.
 // Recommended:
@@ -57,7 +76,60 @@ const RECAP_PUBLIC_CHAT_ID = (
 // Polling mode (long polling via getUpdates). NOTE: Telegram allows only ONE active getUpdates consumer per bot.
 // If you deploy with >1 instance (replicas/autoscaling) or run locally while deployed, you will hit:
 // 409 Conflict: terminated by other getUpdates request
-const bot = new TelegramBot(TOKEN, { polling: false });
+// TELEGRAM_API_BASE_URL points the bot at another Bot API server, e.g. the local stand-in
+// (scripts/telegram-api-stub.js) used by `npm run webhook:local`.
+const bot = new TelegramBot(TOKEN, {
+  polling: false,
+  baseApiUrl: (process.env.TELEGRAM_API_BASE_URL || '').trim().replace(/\/+$/, '') || undefined
+});
+
+// --- Update tracking ---
+// Handlers below are async and often fire-and-forget (bot.sendMessage without await). In webhook
+// mode the function must not return before that work is done, so every handler result and every
+// Bot API call the handlers make (TRACKED_BOT_METHODS) is tracked until it settles.
+const _pendingWork = new Set();
+function trackWork(p){
+  if(!p || typeof p.then !== 'function') return p;
+  const entry = Promise.resolve(p).then(() => {}, () => {}).then(() => { _pendingWork.delete(entry); });
+  _pendingWork.add(entry);
+  return p;
+}
+
+function trackedHandler(fn){
+  return function(...args){
+    const out = fn.apply(this, args);
+    if(out && typeof out.then === 'function'){
+      trackWork(Promise.resolve(out).catch(e => console.error('handler error', e)));
+    }
+    return out;
+  };
+}
+
+const _botOnText = bot.onText.bind(bot);
+bot.onText = (regexp, callback) => _botOnText(regexp, trackedHandler(callback));
+const _botOn = bot.on.bind(bot);
+bot.on = (event, listener) => _botOn(event, trackedHandler(listener));
+
+// Public node-telegram-bot-api methods used by the handlers. Add new ones here when a handler
+// starts calling them; a name the library no longer has fails at startup instead of going untracked.
+const TRACKED_BOT_METHODS = [
+  'sendMessage', 'sendPhoto', 'sendDocument', 'sendMediaGroup',
+  'editMessageText', 'editMessageReplyMarkup', 'deleteMessage',
+  'answerCallbackQuery', 'getFileLink', 'setMyCommands'
+];
+for(const name of TRACKED_BOT_METHODS){
+  if(typeof bot[name] !== 'function') throw new Error(`node-telegram-bot-api has no ${name}(); update TRACKED_BOT_METHODS`);
+  const original = bot[name].bind(bot);
+  bot[name] = (...args) => trackWork(original(...args));
+}
+
+// Resolves once no tracked handler or API request is left (new work may start while we wait).
+async function waitForPendingWork(){
+  while(_pendingWork.size){
+    await Promise.all(Array.from(_pendingWork));
+    await new Promise(resolve => setImmediate(resolve));
+  }
+}
 
 let _pollingStarting = false;
 async function startPollingSafely(){
@@ -79,9 +151,6 @@ async function startPollingSafely(){
   }
 }
 
-// Start polling after handlers are registered.
-startPollingSafely();
-
 bot.on('polling_error', async (err) => {
   const msg = (err && err.message) ? String(err.message) : String(err || '');
   if(/\b409\b/.test(msg) && /getUpdates/i.test(msg)){
@@ -94,9 +163,21 @@ bot.on('polling_error', async (err) => {
   }
 });
 const ACTIVITIES_PATH = path.resolve(__dirname, '..', 'activities.json');
-const UPLOADS_DIR = path.resolve(__dirname, 'uploads');
+// Where photos/documents are downloaded. Webhook functions only have a writable tmp dir;
+// the file is fetched again by file_id when the activity is saved (see ensurePublicAttachmentUrl).
+const UPLOADS_DIR = process.env.TELEGRAM_UPLOADS_DIR
+  ? path.resolve(process.env.TELEGRAM_UPLOADS_DIR)
+  : (IS_MAIN ? path.resolve(__dirname, 'uploads') : path.join(os.tmpdir(), 'inspirasiquran-uploads'));
 if(!fs.existsSync(UPLOADS_DIR)) fs.mkdirSync(UPLOADS_DIR, { recursive: true });
 
+// Webhook invocations are short (Netlify: ~10 s) and their replies can't be retried, so there each
+// photo is uploaded to R2 in the update that brought it; confirming a whole album then has nothing
+// left to upload. The polling bot keeps uploading on confirm (no R2 objects for canceled drafts).
+const UPLOAD_MEDIA_ON_RECEIVE = !IS_MAIN;
+
+// Telegram albums (media groups) hold at most 10 photos / documents.
+const MAX_ALBUM_ITEMS = 10;
+
 // Used for menu-driven edit/delete prompts (when user taps buttons instead of typing commands).
 const pendingMenuActionByChatId = Object.create(null);
 
@@ -104,6 +185,10 @@ const pendingMenuActionByChatId = Object.create(null);
 // chatId -> { recapId }
 const recapEditByChatId = Object.create(null);
 
+// Spreadsheet imports waiting for "Import ✅" (see handleImportDocument).
+// chatId -> { fileName, items: [{ row, item }], places: [location texts filled from places] }
+const pendingImportByChatId = Object.create(null);
+
 const RECENT_LIST_PAGE_SIZE = 6;
 
 const DEFAULT_MISSIONS = [
@@ -163,18 +248,22 @@ function missionKeyboard(options){
 }
 
 // Register commands so Telegram shows them in the bot UI menu.
-try{
-  bot.setMyCommands([
+// Called on polling start-up and by scripts/set-webhook.js.
+function registerBotCommands(){
+  return bot.setMyCommands([
     { command: 'menu', description: 'Show buttons' },
     { command: 'new', description: 'Create a new activity (guided)' },
     { command: 'list', description: 'List recent activities' },
     { command: 'help', description: 'Show help' },
     { command: 'cancel', description: 'Cancel current session' },
     { command: 'edit', description: 'Edit an activity by id' },
-    { command: 'delete', description: 'Delete an activity by id' }
+    { command: 'delete', description: 'Delete an activity by id' },
+    { command: 'history', description: 'Show edit history of an activity' },
+    { command: 'restore', description: 'Undelete or undo a change' },
+    { command: 'resume', description: 'Show and continue an unfinished draft' },
+    { command: 'import', description: 'Add many activities from a CSV/XLSX file' },
+    { command: 'whoami', description: 'Show your Telegram id and roles' }
   ]).catch(()=>{});
-}catch(e){
-  // ignore
 }
 
 function escapeHtml(s){
@@ -233,6 +322,14 @@ function extractMissionName(missionLine){
   return raw.replace(/^\s*(misi|mission)\s*[:\-]?\s*/i, '').trim();
 }
 
+// "🖼 Album · 6 photos" when the activity has more than one photo / document.
+function albumLabel(item){
+  const media = (item && Array.isArray(item.media)) ? item.media : [];
+  if(media.length < 2) return null;
+  const photos = media.every(m => m && m.type === 'photo');
+  return { emoji: '🖼', text: `Album · ${media.length} ${photos ? 'photos' : 'files'}` };
+}
+
 function attachmentLabel(att){
   const t = String(att && att.type ? att.type : '').toLowerCase();
   if(t === 'photo') return { emoji: '📸', text: 'Photo' };
@@ -268,7 +365,7 @@ function buildTelegramV3Markdown(item){
   const missionName = escapeMarkdown(extractMissionName(missionSplit.mission));
   const highlights = formatDialogQuoteMarkdown(item && item.highlights ? item.highlights : '');
   const att = (item && item.attachment) ? item.attachment : null;
-  const attL = attachmentLabel(att) || (getAttachmentSendTarget(item) ? { emoji: '📎', text: 'Attachment' } : null);
+  const attL = albumLabel(item) || attachmentLabel(att) || (getAttachmentSendTarget(item) ? { emoji: '📎', text: 'Attachment' } : null);
 
   const lines = [];
   lines.push(`${style.emoji} MISI · ${typeUpper}`);
@@ -308,7 +405,7 @@ function buildTelegramV3Html(item){
   const missionName = escapeHtml(extractMissionName(missionSplit.mission));
   const highlights = formatDialogQuoteHtml(item && item.highlights ? item.highlights : '');
   const att = (item && item.attachment) ? item.attachment : null;
-  const attL = attachmentLabel(att) || (getAttachmentSendTarget(item) ? { emoji: '📎', text: 'Attachment' } : null);
+  const attL = albumLabel(item) || attachmentLabel(att) || (getAttachmentSendTarget(item) ? { emoji: '📎', text: 'Attachment' } : null);
 
   const lines = [];
   lines.push(`${escapeHtml(style.emoji)} <b>MISI · ${typeUpper}</b>`);
@@ -444,20 +541,37 @@ async function uploadFileToR2(filePath, key, contentType){
   return `${R2_PUBLIC_BASE.replace(/\/$/, '')}/${encodeURIComponent(key).replace(/%2F/g, '/')}`;
 }
 
+// Uploads the attachment, or every photo of an album (item.media), to R2 when configured.
 async function ensurePublicAttachmentUrl(item){
+  if(!item) return;
+  const album = Array.isArray(item.media) && item.media.length > 0;
+  const list = album ? item.media : (item.attachment ? [item.attachment] : []);
+  for(const att of list) await ensurePublicMediaUrl(att);
+  // the album's first item is the cover (attachment_url)
+  if(album) item.attachment = item.media[0];
+  const cover = item.attachment;
+  if(cover && cover.webPath && /^https?:\/\//i.test(String(cover.webPath))){
+    item.attachment_url = cover.webPath;
+    item.attachment_type = cover.type || 'photo';
+  }
+}
+
+async function ensurePublicMediaUrl(att){
   try{
-    if(!item || !item.attachment) return;
-    const att = item.attachment;
+    if(!att) return;
     // already public
     if(att.webPath && /^https?:\/\//i.test(String(att.webPath))) return;
-    if(!att.path || !fs.existsSync(att.path)) return;
     if(!r2Enabled()) return;
+    // The download may be gone (restart, or another webhook instance); fetch it again by file_id.
+    if((!att.path || !fs.existsSync(att.path)) && att.fileId){
+      const filename = path.join(UPLOADS_DIR, path.basename(att.path || (att.fileId + (att.type === 'photo' ? '.jpg' : ''))));
+      await downloadFile(att.fileId, filename);
+      att.path = filename;
+    }
+    if(!att.path || !fs.existsSync(att.path)) return;
 
     const key = safeR2KeyFromFilename(att.path);
-    const url = await uploadFileToR2(att.path, key, contentTypeForAttachment(att));
-    att.webPath = url;
-    item.attachment_url = url;
-    item.attachment_type = att.type || 'photo';
+    att.webPath = await uploadFileToR2(att.path, key, contentTypeForAttachment(att));
   }catch(e){
     console.warn('R2 upload failed; attachment will not be public:', e && (e.message || e));
   }
@@ -484,12 +598,41 @@ function getAttachmentSendTarget(item){
   return null;
 }
 
+// Album items as Telegram InputMedia (file_id, local file or public URL), or null when the
+// activity has no album Telegram can send as one group (photos and documents can't be mixed).
+function getAlbumSendTargets(item){
+  const media = (item && Array.isArray(item.media)) ? item.media : [];
+  if(media.length < 2) return null;
+  const kinds = media.map(m => (m && m.type === 'photo') ? 'photo' : 'document');
+  if(kinds.some(k => k !== kinds[0])) return null;
+  const out = [];
+  for(const m of media){
+    let target = null;
+    if(m.fileId) target = m.fileId;
+    else if(m.path && fs.existsSync(m.path)) target = fs.createReadStream(m.path);
+    else if(m.webPath && /^https?:\/\//i.test(String(m.webPath))) target = String(m.webPath);
+    if(target) out.push({ type: kinds[0], media: target });
+  }
+  return out.length >= 2 ? out.slice(0, MAX_ALBUM_ITEMS) : null;
+}
+
 async function announceToChannelIfConfigured(item, action){
   if(!ACTIVITY_LOG_CHAT_ID) return;
   const text = buildAnnouncementText(item, action);
+  const album = getAlbumSendTargets(item);
   const attachment = getAttachmentSendTarget(item);
 
   try{
+    if(album){
+      // the announcement goes on the first item, like a caption typed under an album
+      const caption = text.length > 950 ? (text.slice(0, 947) + '…') : text;
+      album[0] = Object.assign({}, album[0], { caption, parse_mode: 'HTML' });
+      await bot.sendMediaGroup(ACTIVITY_LOG_CHAT_ID, album);
+      if(text.length > caption.length){
+        await bot.sendMessage(ACTIVITY_LOG_CHAT_ID, text, { parse_mode: 'HTML', disable_web_page_preview: true });
+      }
+      return;
+    }
     if(attachment){
       const kind = String(attachment.kind || 'photo');
       // Telegram caption is limited; keep it safe.
@@ -526,11 +669,25 @@ function getDbPool(){
   return _dbPool;
 }
 
+// DB writes assume the latest schema; warn (don't exit) when the database is behind.
+async function warnIfMigrationsPending(){
+  const pool = getDbPool();
+  if(!pool) return;
+  try{
+    const pending = await migrations.pendingMigrations(pool);
+    if(pending.length){
+      console.warn(`Database has ${pending.length} pending migration(s): ${pending.map(m => m.version + '_' + m.name).join(', ')}. Run: cd telegram-bot && npm run migrate`);
+    }
+  }catch(e){
+    console.warn('Could not check schema_migrations:', e && (e.message || e));
+  }
+}
+
 async function getRecapPostById(id){
   const pool = getDbPool();
   if(!pool) throw new Error('DB is not configured');
   if(!isUuidLike(id)) throw new Error('Invalid recap id');
-  const q = `SELECT id, status, draft_html, preview_chat_id, preview_message_id
+  const q = `SELECT id, mission, status, draft_html, preview_chat_id, preview_message_id
              FROM recap_posts
              WHERE id = $1`;
   const r = await pool.query(q, [id]);
@@ -577,44 +734,15 @@ function recapApprovalKeyboard(recapId){
   };
 }
 
-async function insertActivityToDb(item){
+// Revision author for changes made from Telegram (see activity_revisions.changed_by).
+function telegramActor(userId){
+  return userId ? 'tg:' + userId : null;
+}
+
+async function insertActivityToDb(item, userId){
   const pool = getDbPool();
   if(!pool) throw new Error('DB is not configured');
-  const cols = await getActivitiesTableColumns(pool);
-  const hasCountNumberCol = cols.has('count_number');
-  const hasMissionCol = cols.has('mission');
-  const hasActivityTypeCol = cols.has('activity_type');
-  const hasCountryCol = cols.has('country');
-
-  const rawItem = ensureDerivedActivityFields(item);
-
-  const columns = ['title', 'note', 'activity_date', 'count'];
-  const values = [
-    rawItem.title || 'Activity',
-    rawItem.note || null,
-    rawItem.date ? new Date(rawItem.date).toISOString() : null,
-    rawItem.count == null ? null : String(rawItem.count)
-  ];
-  if(hasCountNumberCol){ columns.push('count_number'); values.push(rawItem.count_number == null ? null : Number(rawItem.count_number)); }
-  if(hasMissionCol){ columns.push('mission'); values.push(rawItem.mission || null); }
-  if(hasActivityTypeCol){ columns.push('activity_type'); values.push(rawItem.activity_type || null); }
-  if(hasCountryCol){ columns.push('country'); values.push(rawItem.country || null); }
-
-  columns.push('location', 'latitude', 'longitude', 'attachment_url', 'attachment_type', 'raw');
-  values.push(
-    rawItem.location || null,
-    (typeof rawItem.lat === 'number') ? rawItem.lat : null,
-    (typeof rawItem.lng === 'number') ? rawItem.lng : null,
-    // Only store an attachment URL if it is already a public URL (http/https).
-    (rawItem.attachment && rawItem.attachment.webPath && /^https?:\/\//i.test(String(rawItem.attachment.webPath))) ? String(rawItem.attachment.webPath) : null,
-    (rawItem.attachment && rawItem.attachment.type) ? String(rawItem.attachment.type) : null,
-    rawItem ? JSON.stringify(rawItem) : null
-  );
-
-  const placeholders = values.map((_, i) => '$' + (i + 1)).join(',');
-  const sql = `INSERT INTO activities(${columns.join(', ')}) VALUES (${placeholders}) RETURNING id`;
-  const r = await pool.query(sql, values);
-  return r.rows && r.rows[0] ? r.rows[0].id : null;
+  return activityStore.insertActivity(pool, item, { actor: telegramActor(userId) });
 }
 
 async function listActivitiesFromDb(limit){
@@ -623,6 +751,7 @@ async function listActivitiesFromDb(limit){
   const l = Math.max(1, Math.min(Number(limit || 10), 50));
   const q = `SELECT id, title, COALESCE(activity_date, created_at) AS date, count, location
              FROM activities
+             WHERE deleted_at IS NULL
              ORDER BY COALESCE(activity_date, created_at) DESC
              LIMIT $1`;
   const res = await pool.query(q, [l]);
@@ -632,69 +761,36 @@ async function listActivitiesFromDb(limit){
 async function getActivityFromDbById(id){
   const pool = getDbPool();
   if(!pool) throw new Error('DB is not configured');
-  const q = `SELECT id,
-                    title,
-                    note,
-                    COALESCE(activity_date, created_at) AS date,
-                    count,
-                    location,
-                    latitude AS lat,
-                    longitude AS lng,
-                    attachment_url,
-                    attachment_type,
-                    raw
-             FROM activities
-             WHERE id = $1`;
-  const r = await pool.query(q, [id]);
-  return (r.rows && r.rows[0]) ? r.rows[0] : null;
+  return activityStore.getActivityRowById(pool, id);
 }
 
-async function updateActivityInDb(id, item){
+async function updateActivityInDb(id, item, userId){
   const pool = getDbPool();
   if(!pool) throw new Error('DB is not configured');
-  const cols = await getActivitiesTableColumns(pool);
-  const hasCountNumberCol = cols.has('count_number');
-  const hasMissionCol = cols.has('mission');
-  const hasActivityTypeCol = cols.has('activity_type');
-  const hasCountryCol = cols.has('country');
-
-  const rawItem = ensureDerivedActivityFields(item);
-
-  const assignments = [];
-  const values = [id];
-  function add(col, val){
-    assignments.push(`${col} = $${values.length + 1}`);
-    values.push(val);
-  }
-
-  add('title', rawItem.title || 'Activity');
-  add('note', rawItem.note || null);
-  add('activity_date', rawItem.date ? new Date(rawItem.date).toISOString() : null);
-  add('count', rawItem.count == null ? null : String(rawItem.count));
-  if(hasCountNumberCol) add('count_number', rawItem.count_number == null ? null : Number(rawItem.count_number));
-  if(hasMissionCol) add('mission', rawItem.mission || null);
-  if(hasActivityTypeCol) add('activity_type', rawItem.activity_type || null);
-  if(hasCountryCol) add('country', rawItem.country || null);
-  add('location', rawItem.location || null);
-  add('latitude', (typeof rawItem.lat === 'number') ? rawItem.lat : null);
-  add('longitude', (typeof rawItem.lng === 'number') ? rawItem.lng : null);
-  add('attachment_url', (rawItem.attachment && rawItem.attachment.webPath && /^https?:\/\//i.test(String(rawItem.attachment.webPath))) ? String(rawItem.attachment.webPath) : (rawItem.attachment_url || null));
-  add('attachment_type', (rawItem.attachment && rawItem.attachment.type) ? String(rawItem.attachment.type) : (rawItem.attachment_type || null));
-  add('raw', rawItem ? JSON.stringify(rawItem) : null);
-
-  const sql = `UPDATE activities SET ${assignments.join(', ')} WHERE id = $1 RETURNING id`;
-  const r = await pool.query(sql, values);
-  return r.rows && r.rows[0] ? r.rows[0].id : null;
-}
-
-async function deleteActivityFromDb(id){
+  return activityStore.updateActivity(pool, id, item, { actor: telegramActor(userId) });
+}
+
+// Soft delete; /restore brings it back.
+async function deleteActivityFromDb(id, userId){
   const pool = getDbPool();
   if(!pool) throw new Error('DB is not configured');
-  const r = await pool.query('DELETE FROM activities WHERE id = $1 RETURNING id', [id]);
-  return r.rows && r.rows[0] ? r.rows[0].id : null;
+  return activityStore.deleteActivity(pool, id, { actor: telegramActor(userId) });
 }
 
-async function resolveDbIdFromPrefix(idOrPrefix){
+async function listActivityRevisionsFromDb(id, limit){
+  const pool = getDbPool();
+  if(!pool) throw new Error('DB is not configured');
+  return activityStore.listActivityRevisions(pool, id, limit);
+}
+
+async function restoreActivityInDb(id, revisionId, userId){
+  const pool = getDbPool();
+  if(!pool) throw new Error('DB is not configured');
+  return activityStore.restoreActivity(pool, id, { revisionId, actor: telegramActor(userId) });
+}
+
+// includeDeleted: also match soft-deleted rows (for /history and /restore).
+async function resolveDbIdFromPrefix(idOrPrefix, includeDeleted){
   const raw = String(idOrPrefix || '').trim();
   if(!raw) return '';
   if(isUuidLike(raw)) return raw;
@@ -707,7 +803,7 @@ async function resolveDbIdFromPrefix(idOrPrefix){
 
   const q = `SELECT id
              FROM activities
-             WHERE id::text ILIKE $1
+             WHERE id::text ILIKE $1${includeDeleted ? '' : ' AND deleted_at IS NULL'}
              ORDER BY COALESCE(activity_date, created_at) DESC
              LIMIT 2`;
   const r = await pool.query(q, [prefix + '%']);
@@ -721,15 +817,68 @@ function loadActivities(){
   try{ return JSON.parse(fs.readFileSync(ACTIVITIES_PATH, 'utf8')); }catch(e){ return []; }
 }
 function saveActivities(arr){ fs.writeFileSync(ACTIVITIES_PATH, JSON.stringify(arr, null, 2), 'utf8'); }
-function isAllowed(userId){ if(ALLOWED.length===0) return true; return ALLOWED.includes(userId); }
+
+// --- Roles (bot_users) ---
+async function getAccess(userId){
+  if(!dbEnabled()) return botUsers.accessFromAllowList(userId, ALLOWED, false);
+  try{
+    return await botUsers.loadAccess(getDbPool(), userId, ALLOWED);
+  }catch(e){
+    console.warn('Could not load roles:', e && (e.message || e));
+    return { userId: Number(userId), configured: true, grants: [] };
+  }
+}
+
+// Replies 'Not authorized' and resolves null when the user may not do `action` for any mission.
+async function requireAccess(chatId, userId, action){
+  const access = await getAccess(userId);
+  if(botUsers.can(access, action)) return access;
+  await bot.sendMessage(chatId, 'Not authorized');
+  return null;
+}
+
+// Checks `action` on one activity (scope from getActivityScope); replies when refused.
+async function checkActivityAccess(chatId, access, action, scope){
+  const sc = scope || { mission: '', createdBy: null };
+  if(botUsers.can(access, action, sc)) return true;
+  if(botUsers.can(access, action, { mission: sc.mission })){
+    await bot.sendMessage(chatId, 'Field reporters can only change activities they created.');
+  } else {
+    await bot.sendMessage(chatId, `Not authorized for mission: ${sc.mission || '(none)'}`);
+  }
+  return false;
+}
+
+async function getActivityScopeForCheck(id){
+  if(!dbEnabled()) return { mission: '', createdBy: null };
+  return activityStore.getActivityScope(getDbPool(), id);
+}
+
+// Guided /new and /edit drafts: whoever sends the next step must still have the role.
+async function sessionAllowed(userId, s){
+  const access = await getAccess(userId);
+  return botUsers.can(access, (s && s.mode === 'edit') ? 'activity.edit' : 'activity.create');
+}
+
+// Mission typed or picked during /new or /edit: refuse (and ask again) outside the user's missions.
+async function rejectMissionOutsideScope(chatId, s, userId, mission){
+  const action = s.mode === 'edit' ? 'activity.edit' : 'activity.create';
+  const access = await getAccess(userId);
+  if(botUsers.can(access, action, { mission })) return false;
+  const allowed = botUsers.missionsFor(access, action) || [];
+  await bot.sendMessage(chatId, `You can't report for mission "${mission || '(none)'}".` + (allowed.length ? ' Your missions: ' + allowed.join(', ') : ''));
+  s.step = 'mission';
+  await promptForStep(chatId, s);
+  return true;
+}
 
 function getHelpText(){
-  return `/menu - show buttons\n/new - guided input\n/back - go to previous step (during /new or /edit)\n/skip - skip current step\n/edit <id> - edit an existing activity\n/delete <id> - delete an activity\n/add title | ISO-date | count | location | lat lng | note - quick add\n/list - recent (shows IDs)\n/missions - list mission categories\n/mission_add <name> - add a new mission category\n/mission_disable <name> - disable a mission (skip recaps)\n/mission_enable <name> - enable a mission\n/cancel - cancel guided input\n
+  return `/menu - show buttons\n/new - guided input\n/back - go to previous step (during /new or /edit)\n/resume - show an unfinished draft and continue it\n/skip - skip current step\n/edit <id> - edit an existing activity\n/delete <id> - delete an activity\n/history <id> - who changed an activity and when\n/restore <id> [rev] - undelete, or undo the latest change (or revision #rev and everything after it)\n/add title | ISO-date | count | location | lat lng | note - quick add\n/import - add many activities from a CSV or XLSX file (one row per activity)\n/list - recent (shows IDs)\n/missions - list mission categories\n/mission_add <name> - add a new mission category\n/mission_disable <name> - disable a mission (skip recaps)\n/mission_enable <name> - enable a mission\n/settings - map KPI target and baselines\n/set_target <number> - KPI target on the map\n/set_baseline [global] <number> - Malaysia (or global) total from before the bot\n/whoami - your Telegram id and roles\n/users - who has which role (admins)\n/grant <id> <role> [mission] - give a role: admin, editor, reporter or approver (admins)\n/revoke <id> [role] [mission] - take roles away (admins)\n/cancel - cancel guided input\n
 During /new you will be asked for a mission category and an activity type (transit/arrival/distribution/class/completion). You can share location via Telegram or type a location (e.g. Kuala Lumpur, Malaysia), and attach a photo or document. Date examples: now, 2025-12-20, 2025-12-20 14:30, Dec 20 2025.`;
 }
 
-async function sendRecentList(chatId){
-  return sendRecentListPage(chatId, 0);
+async function sendRecentList(chatId, userId){
+  return sendRecentListPage(chatId, userId, 0);
 }
 
 async function fetchRecentListPage(pageIndex){
@@ -743,6 +892,7 @@ async function fetchRecentListPage(pageIndex){
 
     const q = `SELECT id, title, COALESCE(activity_date, created_at) AS date, count, location
                FROM activities
+               WHERE deleted_at IS NULL
                ORDER BY COALESCE(activity_date, created_at) DESC
                LIMIT $1 OFFSET $2`;
     const res = await pool.query(q, [pageSize + 1, offset]);
@@ -816,8 +966,9 @@ function buildRecentListKeyboard(rows, page, hasNext){
   return { inline_keyboard: keyboard };
 }
 
-async function sendRecentListPage(chatId, pageIndex, opts){
+async function sendRecentListPage(chatId, userId, pageIndex, opts){
   try{
+    if(!(await requireAccess(chatId, userId, 'bot.use'))) return;
     const { rows, page, hasNext } = await fetchRecentListPage(pageIndex);
     const text = buildRecentListText(rows, page);
     const reply_markup = buildRecentListKeyboard(rows, page, hasNext);
@@ -845,7 +996,8 @@ async function sendMainMenu(chatId){
 }
 
 async function handleDeleteById(chatId, userId, id){
-  if(!isAllowed(userId)) return bot.sendMessage(chatId, 'Not authorized');
+  const access = await requireAccess(chatId, userId, 'activity.delete');
+  if(!access) return;
   if(sessions[chatId]) return bot.sendMessage(chatId, 'You are in a session. Type /cancel first.');
   let normalizedId = normalizeText(id);
   if(!normalizedId) return bot.sendMessage(chatId, 'Usage: delete needs an id (get the id from /list)');
@@ -856,9 +1008,12 @@ async function handleDeleteById(chatId, userId, id){
         if(!resolved) return bot.sendMessage(chatId, 'Not found: ' + normalizedId);
         normalizedId = resolved;
       }
-      const deleted = await deleteActivityFromDb(normalizedId);
+      const scope = await getActivityScopeForCheck(normalizedId);
+      if(!scope) return bot.sendMessage(chatId, 'Not found: ' + normalizedId);
+      if(!(await checkActivityAccess(chatId, access, 'activity.delete', scope))) return;
+      const deleted = await deleteActivityFromDb(normalizedId, userId);
       if(!deleted) return bot.sendMessage(chatId, 'Not found: ' + normalizedId);
-      return bot.sendMessage(chatId, 'Deleted: ' + deleted + ' (Neon)');
+      return bot.sendMessage(chatId, 'Deleted: ' + deleted + ' (Neon)\nUndo with /restore ' + deleted);
     }
     const arr = loadActivities();
     const before = arr.length;
@@ -872,6 +1027,213 @@ async function handleDeleteById(chatId, userId, id){
   }
 }
 
+// Fields shown in /history diffs (raw/count_number/updated_at are derived or noisy).
+const HISTORY_FIELDS = ['title', 'mission', 'activity_type', 'activity_date', 'count', 'location', 'country', 'latitude', 'longitude', 'note', 'attachment_url', 'deleted_at'];
+
+function historyValue(v){
+  if(v == null || v === '') return '∅';
+  const t = String(v).replace(/\s+/g, ' ').trim();
+  return t.length > 40 ? t.slice(0, 39) + '…' : t;
+}
+
+function formatRevisionLine(rev){
+  const who = rev.changed_by || 'unknown';
+  const lines = [`#${rev.id} ${rev.action} · ${formatDateUTC(rev.changed_at)} · ${who}`];
+  if(rev.action === 'update' || rev.action === 'restore'){
+    const changed = (rev.changed_fields || []).filter(f => HISTORY_FIELDS.includes(f));
+    for(const f of changed){
+      lines.push(`   ${f}: ${historyValue(rev.before && rev.before[f])} → ${historyValue(rev.after && rev.after[f])}`);
+    }
+  }
+  return lines.join('\n');
+}
+
+// action: 'activity.history' or 'activity.restore', checked against the activity's mission.
+async function resolveActivityIdForHistory(chatId, userId, id, usage, action){
+  const access = await requireAccess(chatId, userId, action);
+  if(!access) return '';
+  if(!dbEnabled()){ await bot.sendMessage(chatId, 'History needs the database (DATABASE_URL); the local activities.json has no revisions.'); return ''; }
+  const normalizedId = normalizeText(id);
+  if(!normalizedId){ await bot.sendMessage(chatId, usage); return ''; }
+  const resolved = await resolveDbIdFromPrefix(normalizedId, true);
+  if(!resolved || !isUuidLike(resolved)){ await bot.sendMessage(chatId, 'Not found: ' + normalizedId); return ''; }
+  const scope = await getActivityScopeForCheck(resolved);
+  if(!scope){ await bot.sendMessage(chatId, 'Not found: ' + normalizedId); return ''; }
+  if(!(await checkActivityAccess(chatId, access, action, scope))) return '';
+  return resolved;
+}
+
+async function handleHistoryById(chatId, userId, id){
+  try{
+    const activityId = await resolveActivityIdForHistory(chatId, userId, id, 'Usage: /history <id> (get the id from /list)', 'activity.history');
+    if(!activityId) return;
+    const revisions = await listActivityRevisionsFromDb(activityId, 10);
+    if(!revisions.length) return bot.sendMessage(chatId, 'No history recorded for ' + activityId + ' (it predates edit history).');
+    const text = [`History for ${activityId} (newest first):`, '']
+      .concat(revisions.map(formatRevisionLine))
+      .concat(['', 'Undo a change with /restore <id> <rev>.'])
+      .join('\n');
+    return bot.sendMessage(chatId, text.length > 4000 ? text.slice(0, 3990) + '\n…' : text);
+  }catch(e){
+    console.error('History failed', e);
+    return bot.sendMessage(chatId, 'History failed: ' + (e.message || e));
+  }
+}
+
+async function handleRestoreById(chatId, userId, args){
+  if(sessions[chatId]) return bot.sendMessage(chatId, 'You are in a session. Type /cancel first.');
+  try{
+    const parts = normalizeText(args).split(/\s+/).filter(Boolean);
+    const activityId = await resolveActivityIdForHistory(chatId, userId, parts[0], 'Usage: /restore <id> [rev] (see /history <id> for revision numbers)', 'activity.restore');
+    if(!activityId) return;
+    let revisionId = null;
+    if(parts[1]){
+      revisionId = Number(String(parts[1]).replace(/^#/, ''));
+      if(!Number.isInteger(revisionId) || revisionId < 1) return bot.sendMessage(chatId, 'Revision must be a number from /history, e.g. /restore <id> 12');
+    }
+    const restored = await restoreActivityInDb(activityId, revisionId, userId);
+    if(!restored) return bot.sendMessage(chatId, 'Not found: ' + activityId);
+    const what = restored.revision ? `undid #${restored.revision.id} (${restored.revision.action})` : 'undeleted';
+    return bot.sendMessage(chatId, `Restored ${restored.id}: ${what}.\nSee /history ${restored.id}`);
+  }catch(e){
+    console.error('Restore failed', e);
+    return bot.sendMessage(chatId, 'Restore failed: ' + (e.message || e));
+  }
+}
+
+// Map KPI settings (settings table): /settings lists them, /set_target and /set_baseline change them.
+function formatSettingsText(settings){
+  return ['Map settings:']
+    .concat(Object.keys(settingsStore.SETTING_LABELS).map(k => `• ${settingsStore.SETTING_LABELS[k]}: ${Number(settings[k]).toLocaleString('en-US')}`))
+    .concat(['', 'Change with /set_target <number>, /set_baseline <number> (Malaysia) or /set_baseline global <number>.'])
+    .join('\n');
+}
+
+async function handleSettingsCommand(chatId, userId){
+  if(!(await requireAccess(chatId, userId, 'bot.use'))) return;
+  if(!dbEnabled()) return bot.sendMessage(chatId, 'DB not configured. Settings are stored in the database.');
+  try{
+    return bot.sendMessage(chatId, formatSettingsText(await settingsStore.getSettings(getDbPool())));
+  }catch(e){
+    return bot.sendMessage(chatId, 'Failed to load settings: ' + (e.message || e));
+  }
+}
+
+async function handleSetSetting(chatId, userId, key, valueText, usage){
+  if(!(await requireAccess(chatId, userId, 'settings.manage'))) return;
+  const value = settingsStore.parseSettingValue(valueText);
+  if(value == null || (key === 'kpi_target' && value === 0)) return bot.sendMessage(chatId, usage);
+  if(!dbEnabled()) return bot.sendMessage(chatId, 'DB not configured. Settings are stored in the database.');
+  try{
+    const pool = getDbPool();
+    const before = await settingsStore.getSettings(pool);
+    const saved = await settingsStore.setSetting(pool, key, value, telegramActor(userId));
+    return bot.sendMessage(chatId, `${settingsStore.SETTING_LABELS[key]}: ${Number(before[key]).toLocaleString('en-US')} → ${saved.toLocaleString('en-US')}\nThe map shows it on the next page load.`);
+  }catch(e){
+    return bot.sendMessage(chatId, 'Failed to save setting. If this is your first time, run `npm run migrate` in telegram-bot.\nError: ' + (e.message || e));
+  }
+}
+
+function handleSetTarget(chatId, userId, arg){
+  return handleSetSetting(chatId, userId, 'kpi_target', arg, 'Usage: /set_target <number>, e.g. /set_target 10,000,000');
+}
+
+// /set_baseline 31230 (Malaysia) or /set_baseline global 1453456
+function handleSetBaseline(chatId, userId, arg){
+  const m = normalizeText(arg).match(/^(?:(malaysia|my|global|all)\s+)?(.+)$/i);
+  const which = m && m[1] ? m[1].toLowerCase() : 'malaysia';
+  const key = (which === 'global' || which === 'all') ? 'baseline_global' : 'baseline_malaysia';
+  return handleSetSetting(chatId, userId, key, m ? m[2] : '', 'Usage: /set_baseline <number> (Malaysia) or /set_baseline global <number>');
+}
+
+// Roles: /whoami for anyone, /users, /grant and /revoke for admins.
+async function handleWhoamiCommand(chatId, userId){
+  const access = await getAccess(userId);
+  const lines = [`Your Telegram id: ${userId}`];
+  if(access.grants.length) lines.push('Roles:', ...access.grants.map(g => '• ' + botUsers.formatGrant(g)));
+  else lines.push('No roles yet. Send this id to an admin and ask for /grant.');
+  return bot.sendMessage(chatId, lines.join('\n'));
+}
+
+async function handleUsersCommand(chatId, userId){
+  if(!(await requireAccess(chatId, userId, 'users.manage'))) return;
+  if(!dbEnabled()) return bot.sendMessage(chatId, 'DB not configured. Roles are stored in the database; ALLOWED_TELEGRAM_IDS applies.');
+  try{
+    const grants = await botUsers.listGrants(getDbPool());
+    const lines = [];
+    if(ALLOWED.length) lines.push('Admins from ALLOWED_TELEGRAM_IDS: ' + ALLOWED.join(', '), '');
+    if(!grants.length){
+      lines.push('No roles granted yet, so ' + (ALLOWED.length ? 'only the ids above' : 'everyone') + ' can use the bot.');
+    } else {
+      let last = null;
+      for(const g of grants){
+        if(g.telegram_id !== last){
+          if(last != null) lines.push('');
+          lines.push(String(g.telegram_id));
+          last = g.telegram_id;
+        }
+        lines.push('• ' + botUsers.formatGrant(g) + (g.granted_by ? ` — by ${g.granted_by}` : ''));
+      }
+    }
+    const text = lines.join('\n');
+    return bot.sendMessage(chatId, text.length > 4000 ? text.slice(0, 3990) + '\n…' : text);
+  }catch(e){
+    return bot.sendMessage(chatId, 'Failed to list users: ' + (e.message || e));
+  }
+}
+
+const GRANT_USAGE = 'Usage: /grant <telegram id> <admin|editor|reporter|approver> [mission]\ne.g. /grant 123456789 reporter Chad (ask the user to send /whoami for their id)';
+
+async function handleGrantCommand(chatId, userId, arg){
+  const access = await requireAccess(chatId, userId, 'users.manage');
+  if(!access) return;
+  const m = normalizeText(arg).match(/^(\d+)\s+([\s\S]+)$/);
+  const { role, rest } = botUsers.splitRoleArgs(m ? m[2] : '');
+  if(!m || !role) return bot.sendMessage(chatId, GRANT_USAGE);
+  const mission = normalizeMission(rest).replace(/\s+/g, ' ').slice(0, 40);
+  if(role === 'admin' && mission) return bot.sendMessage(chatId, 'Admins are not limited to a mission. Use: /grant <telegram id> admin');
+  if(!dbEnabled()) return bot.sendMessage(chatId, 'DB not configured. Roles are stored in the database; use ALLOWED_TELEGRAM_IDS instead.');
+  // the first grant ends "everyone may use the bot": make sure somebody can still manage it
+  if(!access.configured && !ALLOWED.length && role !== 'admin'){
+    return bot.sendMessage(chatId, `Grant an admin first (e.g. /grant ${userId} admin). Once roles exist, only users with a role can use the bot.`);
+  }
+  try{
+    const added = await botUsers.grantRole(getDbPool(), m[1], role, mission, telegramActor(userId));
+    const what = botUsers.formatGrant({ role, mission: mission || null });
+    let note = '';
+    if(mission){
+      const known = await getMissionOptions();
+      if(!known.some(x => x.toLowerCase() === mission.toLowerCase())) note = `\nNote: "${mission}" is not in /missions; it must match the activities' mission.`;
+    }
+    return bot.sendMessage(chatId, (added ? `Granted ${what} to ${m[1]}.` : `${m[1]} already has ${what}.`) + note);
+  }catch(e){
+    return bot.sendMessage(chatId, 'Failed to grant role. If this is your first time, run `npm run migrate` in telegram-bot.\nError: ' + (e.message || e));
+  }
+}
+
+// /revoke <id> removes every role; /revoke <id> <role> [mission] just that one.
+async function handleRevokeCommand(chatId, userId, arg){
+  if(!(await requireAccess(chatId, userId, 'users.manage'))) return;
+  const m = normalizeText(arg).match(/^(\d+)(?:\s+([\s\S]+))?$/);
+  const { role, rest } = botUsers.splitRoleArgs(m ? m[2] : '');
+  if(!m || (m[2] && !role)) return bot.sendMessage(chatId, 'Usage: /revoke <telegram id> [role] [mission]');
+  if(!dbEnabled()) return bot.sendMessage(chatId, 'DB not configured. Roles are stored in the database; use ALLOWED_TELEGRAM_IDS instead.');
+  try{
+    const pool = getDbPool();
+    if(!ALLOWED.length && (!role || role === 'admin')){
+      const target = await botUsers.loadAccess(pool, m[1], []);
+      if(botUsers.can(target, 'users.manage') && await botUsers.countAdmins(pool) <= 1){
+        return bot.sendMessage(chatId, 'That is the last admin. Grant admin to someone else first (or set ALLOWED_TELEGRAM_IDS).');
+      }
+    }
+    const removed = await botUsers.revokeRole(pool, m[1], role, rest);
+    if(!removed.length) return bot.sendMessage(chatId, `${m[1]} has no matching role.`);
+    return bot.sendMessage(chatId, `Revoked from ${m[1]}:\n` + removed.map(g => '• ' + botUsers.formatGrant(g)).join('\n'));
+  }catch(e){
+    return bot.sendMessage(chatId, 'Failed to revoke role: ' + (e.message || e));
+  }
+}
+
 function makeId(){ return 'a-' + Math.random().toString(36).slice(2,10); }
 // Optional: when users type date/time without timezone, interpret it using this offset (minutes) and convert to UTC.
 // Example for Malaysia (UTC+8): DATE_INPUT_TZ_OFFSET_MINUTES=480
@@ -1000,25 +1362,266 @@ function formatDateUTC(isoOrDate){
   }
 }
 
-// geocode a freeform location using Nominatim (OpenStreetMap)
-function geocodeLocation(query){
-  return new Promise((resolve)=>{
-    if(!query) return resolve(null);
-    const q = encodeURIComponent(query);
-    const url = `https://nominatim.openstreetmap.org/search?format=json&limit=1&q=${q}`;
-    https.get(url, { headers: { 'User-Agent': 'inspirasiquran-map-bot/1.0' } }, (res)=>{
-      let body=''; res.on('data', c=>body+=c); res.on('end', ()=>{
-        try{ const js = JSON.parse(body); if(js && js.length){ const r = js[0]; return resolve({ lat: Number(r.lat), lng: Number(r.lon), display_name: r.display_name }); } }catch(e){}
-        resolve(null);
-      });
-    }).on('error', ()=> resolve(null));
-  });
+// Typed locations: the places cache (lib/places-store.js) first, then a few Nominatim candidates
+// for the user to pick from. NOMINATIM_BASE_URL swaps in another server (scripts/nominatim-stub.js).
+const geocoder = createNominatimClient({ baseUrl: process.env.NOMINATIM_BASE_URL });
+const GEOCODE_CANDIDATES = 5;
+
+function formatCoords(lat, lng){
+  return `(${Number(lat).toFixed(5)}, ${Number(lng).toFixed(5)})`;
+}
+
+async function rememberConfirmedPlace(query, place, source, userId){
+  const pool = getDbPool();
+  if(!pool || !query) return;
+  try{ await placesStore.rememberPlace(pool, query, place, source, telegramActor(userId)); }
+  catch(e){ console.warn('Could not save place:', e && (e.message || e)); }
+}
+
+// Leaves the location step: back to the edit menu, or on to the attachment.
+async function finishLocationStep(chatId, s, text, inlineKeyboard){
+  delete s.geo;
+  if(isEditMenuMode(s)){
+    s.step = 'edit_menu';
+    await bot.sendMessage(chatId, text, inlineKeyboard ? { reply_markup: { inline_keyboard: inlineKeyboard } } : { reply_markup: { remove_keyboard: true } });
+    return promptForStep(chatId, s);
+  }
+  s.step = 'attachment';
+  return bot.sendMessage(chatId, text + '\nAttach a photo/doc or type /skip', { reply_markup: inlineKeyboard ? { inline_keyboard: inlineKeyboard } : { remove_keyboard: true } });
+}
+
+// A typed location name. Names confirmed before resolve from the places table; otherwise the user
+// picks one of Nominatim's candidates, drops a pin, or keeps the text. opts.fresh: skip the cache.
+async function resolveTypedLocation(chatId, s, typed, userId, opts){
+  const pool = getDbPool();
+  if(pool && !(opts && opts.fresh)){
+    let cached = null;
+    try{ cached = await placesStore.findPlace(pool, typed); }
+    catch(e){ console.warn('Place lookup failed:', e && (e.message || e)); }
+    if(cached){
+      s.data.lat = cached.lat; s.data.lng = cached.lng; s.data.location = cached.display_name;
+      await finishLocationStep(chatId, s, `Location (confirmed before): ${cached.display_name} ${formatCoords(cached.lat, cached.lng)}`, [[{ text: '🔄 Not this one: search again', callback_data: '_geo_search' }]]);
+      s.geo = { query: typed };
+      return;
+    }
+  }
+
+  const candidates = await geocoder.search(typed, GEOCODE_CANDIDATES);
+  s.step = 'location';
+  s.geo = { query: typed, candidates };
+  const choices = [[{ text: '📍 Drop a pin', callback_data: '_geo_pin' }, { text: '✍️ Keep as text', callback_data: '_geo_text' }]];
+  if(candidates.length){
+    const rows = candidates.map((c, i) => [{ text: c.display_name.length > 60 ? c.display_name.slice(0, 59) + '…' : c.display_name, callback_data: '_geo_pick:' + i }]);
+    return bot.sendMessage(chatId, `Which "${typed}"? Pick the right place, or drop a pin if it isn't listed. You can also type another name.`, { reply_markup: { inline_keyboard: rows.concat(choices) } });
+  }
+  return bot.sendMessage(chatId, `Couldn't find "${typed}" on the map. Drop a pin for it, type another name (e.g. "Bukit Bintang, Kuala Lumpur"), or keep it as text without map coordinates.`, { reply_markup: { inline_keyboard: choices } });
+}
+
+// --- Bulk import (CSV / XLSX, lib/activity-import.js) ---
+// A spreadsheet sent outside /new is checked row by row and shown as a preview; "Import ✅" saves
+// the good rows in one transaction. Nothing is posted to the channel.
+const IMPORT_PREVIEW_ERRORS = 15;
+
+function importParsers(access){
+  return {
+    parseDate: parseFlexibleDate,
+    parseCount: parseCountInput,
+    normalizeMission,
+    normalizeType: normalizeActivityType,
+    missionAllowed: (mission) => botUsers.can(access, 'activity.create', { mission })
+  };
+}
+
+function formatRowList(rows){
+  return rows.length > 10 ? rows.slice(0, 10).join(', ') + ` and ${rows.length - 10} more` : rows.join(', ');
+}
+
+function buildImportPreviewText(fileName, result){
+  const lines = [`📄 ${fileName}: ${result.rowCount} row${result.rowCount === 1 ? '' : 's'}`];
+  const total = result.items.reduce((sum, x) => sum + (parseCountNumberLoose(x.item.count) || 0), 0);
+  lines.push(`✅ ${result.items.length} ready to import` + (total ? ` (${total.toLocaleString('en-US')} total count)` : ''));
+
+  const byMission = new Map();
+  for(const { item } of result.items){
+    const key = item.mission || '(no mission)';
+    const m = byMission.get(key) || { rows: 0, count: 0 };
+    m.rows++;
+    m.count += parseCountNumberLoose(item.count) || 0;
+    byMission.set(key, m);
+  }
+  if(byMission.size){
+    lines.push('', 'By mission:');
+    for(const [mission, m] of byMission) lines.push(`• ${mission}: ${m.rows} row${m.rows === 1 ? '' : 's'}` + (m.count ? `, ${m.count.toLocaleString('en-US')}` : ''));
+  }
+
+  if(result.errors.length){
+    lines.push('', `⚠️ ${result.errors.length} row${result.errors.length === 1 ? '' : 's'} with errors` + (result.items.length ? ' (skipped):' : ':'));
+    for(const e of result.errors.slice(0, IMPORT_PREVIEW_ERRORS)) lines.push(`• Row ${e.row}: ${e.message}`);
+    if(result.errors.length > IMPORT_PREVIEW_ERRORS) lines.push(`…and ${result.errors.length - IMPORT_PREVIEW_ERRORS} more`);
+  }
+
+  const unmapped = result.items.filter(x => x.item.lat == null || x.item.lng == null).map(x => x.row);
+  if(unmapped.length) lines.push('', `📍 No coordinates (won't show on the map): row${unmapped.length === 1 ? '' : 's'} ${formatRowList(unmapped)}`);
+  if(result.ignored.length) lines.push('', 'Columns not used: ' + result.ignored.join(', '));
+  return lines.join('\n');
+}
+
+// Rows with a location name but no coordinates get them from places confirmed before (/new).
+// Only looks: resolves the location texts used, counted once the import is saved.
+async function fillImportCoordinatesFromPlaces(items){
+  const used = [];
+  const pool = getDbPool();
+  if(!pool) return used;
+  for(const { item } of items){
+    if(item.lat != null || !item.location) continue;
+    let place = null;
+    try{ place = await placesStore.lookupPlace(pool, item.location); }
+    catch(e){ console.warn('Place lookup failed:', e && (e.message || e)); return used; }
+    if(place){ item.lat = place.lat; item.lng = place.lng; used.push(item.location); }
+  }
+  return used;
+}
+
+// /import: asks for the file (sending a .csv / .xlsx without it works too).
+async function handleImportCommand(chatId, userId){
+  if(!(await requireAccess(chatId, userId, 'activity.create'))) return;
+  if(sessions[chatId]) return bot.sendMessage(chatId, 'Finish or /cancel the current draft first (/resume shows it).');
+  pendingMenuActionByChatId[chatId] = 'import';
+  return bot.sendMessage(chatId,
+    'Send the CSV or XLSX file as a document, one activity per row. The first row names the columns:\n' +
+    'Title, Mission, Type, Date, Count, Location, Latitude, Longitude (or Coordinates "lat, lng"), Note.\n' +
+    'Title and Date are required; use dates like 2025-12-20 or real date cells. You will see a preview before anything is saved. /cancel to stop.');
+}
+
+async function handleImportDocument(chatId, userId, doc){
+  const access = await requireAccess(chatId, userId, 'activity.create');
+  if(!access) return;
+  const fileName = String(doc.file_name || 'import').trim();
+  const kind = activityImport.importKindForDocument(fileName, doc.mime_type);
+  if(!kind) return bot.sendMessage(chatId, 'Please send the spreadsheet as a .csv or .xlsx file.');
+
+  const dest = path.join(UPLOADS_DIR, 'import-' + (doc.file_unique_id || doc.file_id) + '.' + kind);
+  let result = null;
+  try{
+    await downloadFile(doc.file_id, dest);
+    const rows = await activityImport.readSpreadsheet(dest, kind);
+    result = activityImport.validateImportRows(rows, importParsers(access));
+  }catch(e){
+    if(e instanceof activityImport.ImportFileError) return bot.sendMessage(chatId, 'Cannot import ' + fileName + ': ' + e.message);
+    console.error('Import read failed', e);
+    return bot.sendMessage(chatId, 'Could not read ' + fileName + ': ' + (e.message || e));
+  }finally{
+    fs.unlink(dest, ()=>{});
+  }
+
+  const places = await fillImportCoordinatesFromPlaces(result.items);
+  const text = buildImportPreviewText(fileName, result);
+  if(!result.items.length){
+    delete pendingImportByChatId[chatId];
+    return bot.sendMessage(chatId, text + '\n\nNothing to import. Fix the rows and send the file again.');
+  }
+
+  pendingImportByChatId[chatId] = { fileName, items: result.items, places };
+  const n = result.items.length;
+  const keyboard = { inline_keyboard: [[
+    { text: `Import ${n} row${n === 1 ? '' : 's'} ✅`, callback_data: '_import_confirm' },
+    { text: 'Cancel ❌', callback_data: '_import_cancel' }
+  ]] };
+  return bot.sendMessage(chatId, text, { reply_markup: keyboard });
+}
+
+// Saves a confirmed import: all rows or none (one transaction with the DB, one file write without).
+async function saveImportedActivities(pending, userId){
+  const items = pending.items.map(({ item }) => Object.assign({ id: makeId() }, item, { source: 'import:' + pending.fileName }));
+  if(dbEnabled()){
+    const pool = getDbPool();
+    if(!pool) throw new Error('DB is not configured');
+    await activityStore.insertActivities(pool, items, { actor: telegramActor(userId) });
+    try{ await placesStore.recordPlaceUses(pool, pending.places); }
+    catch(e){ console.warn('Place use count failed:', e && (e.message || e)); }
+  } else {
+    const arr = loadActivities();
+    for(const item of items) arr.push(Object.assign({}, item, { count_number: parseCountNumberLoose(item.count) }));
+    arr.sort((a,b)=> new Date(a.date)-new Date(b.date));
+    saveActivities(arr);
+  }
+  return items.length;
 }
 
 const sessions = {};
-function startSession(chatId, userId, mode){ sessions[chatId] = { userId, mode: mode || 'create', step:'title', data:{} }; }
+function startSession(chatId, userId, mode){ sessions[chatId] = { userId, mode: mode || 'create', step:'title', data:{}, startedAt: new Date().toISOString() }; }
 function endSession(chatId){ delete sessions[chatId]; }
 
+// Saved chat state (drafts, pending prompts) is dropped this long after its last change; 0 keeps it.
+const SESSION_TTL_HOURS = sessionStore.parseTtlHours(process.env.BOT_SESSION_TTL_HOURS);
+const SESSION_TTL_SECONDS = sessionStore.ttlSecondsFromHours(SESSION_TTL_HOURS);
+
+// --- Per-chat state persistence (bot_sessions) ---
+// With the DB configured, a chat's session / pending menu action / recap edit / import is loaded before
+// each update and saved after it, so state survives restarts and webhook invocations.
+function exportChatState(chatId){
+  return {
+    session: sessions[chatId] || null,
+    pendingMenuAction: pendingMenuActionByChatId[chatId] || null,
+    recapEdit: recapEditByChatId[chatId] || null,
+    pendingImport: pendingImportByChatId[chatId] || null
+  };
+}
+
+function importChatState(chatId, state){
+  const st = state || {};
+  if(st.session) sessions[chatId] = st.session; else delete sessions[chatId];
+  if(st.pendingMenuAction) pendingMenuActionByChatId[chatId] = st.pendingMenuAction; else delete pendingMenuActionByChatId[chatId];
+  if(st.recapEdit) recapEditByChatId[chatId] = st.recapEdit; else delete recapEditByChatId[chatId];
+  if(st.pendingImport) pendingImportByChatId[chatId] = st.pendingImport; else delete pendingImportByChatId[chatId];
+}
+
+function chatIdFromUpdate(update){
+  const m = update && (update.message || update.edited_message || (update.callback_query && update.callback_query.message));
+  return (m && m.chat && m.chat.id != null) ? m.chat.id : null;
+}
+
+async function processUpdateWithState(update){
+  const chatId = chatIdFromUpdate(update);
+  const pool = (chatId != null) ? getDbPool() : null;
+  let loadedJson = null;
+  if(pool){
+    try{
+      importChatState(chatId, await sessionStore.loadChatState(pool, chatId, SESSION_TTL_SECONDS));
+      loadedJson = JSON.stringify(exportChatState(chatId));
+    }catch(e){
+      // keep whatever is in memory (e.g. bot_sessions not migrated yet)
+      console.warn('Could not load chat state:', e && (e.message || e));
+    }
+  }
+
+  _processUpdate(update);
+  await waitForPendingWork();
+
+  if(pool && loadedJson != null){
+    const state = exportChatState(chatId);
+    if(JSON.stringify(state) !== loadedJson){
+      try{ await sessionStore.saveChatState(pool, chatId, state); }
+      catch(e){ console.warn('Could not save chat state:', e && (e.message || e)); }
+    }
+  }
+}
+
+// Updates for the same chat run one at a time so a load never overwrites newer in-memory state.
+const _chatQueues = new Map();
+function handleUpdate(update){
+  const key = String(chatIdFromUpdate(update));
+  const prev = _chatQueues.get(key) || Promise.resolve();
+  const next = prev.then(() => processUpdateWithState(update)).catch(e => console.error('update failed', e));
+  _chatQueues.set(key, next);
+  next.then(() => { if(_chatQueues.get(key) === next) _chatQueues.delete(key); });
+  return next;
+}
+
+// Polling hands updates to bot.processUpdate; route them through the same path as webhooks.
+const _processUpdate = bot.processUpdate.bind(bot);
+bot.processUpdate = handleUpdate;
+
 function isEditMenuMode(s){
   return Boolean(s && s.mode === 'edit' && s.editMode === 'menu');
 }
@@ -1059,60 +1662,6 @@ function parseCountInput(raw){
   return t;
 }
 
-function parseCountNumberLoose(value){
-  if(value == null) return null;
-  if(typeof value === 'number' && Number.isFinite(value)) return Math.round(value);
-  const t = String(value || '').trim();
-  if(!t) return null;
-  // match first number-ish token, tolerate commas/spaces/underscores
-  const m = t.match(/\d[\d,._\s]*/);
-  if(!m) return null;
-  const numStr = m[0].replace(/[^\d]/g, '');
-  if(!numStr) return null;
-  const n = Number(numStr);
-  if(!Number.isFinite(n)) return null;
-  return Math.round(n);
-}
-
-function parseCountryFromLocationLoose(location){
-  const s = String(location || '').trim();
-  if(!s) return '';
-  const parts = s.split(',').map(p => p.trim()).filter(Boolean);
-  if(parts.length >= 2) return parts[parts.length - 1];
-  return '';
-}
-
-function ensureDerivedActivityFields(item){
-  const next = Object.assign({}, item || {});
-  // Always keep mission/activity_type mirrored in raw for later parsing.
-  next.mission = next.mission == null ? '' : String(next.mission);
-  next.activity_type = next.activity_type == null ? '' : String(next.activity_type);
-
-  // Derive country from location string (best-effort).
-  // Example: "Gombak, Malaysia" -> "Malaysia".
-  next.country = next.country == null ? '' : String(next.country);
-  if(!next.country){
-    next.country = parseCountryFromLocationLoose(next.location);
-  }
-
-  // Derive numeric count for aggregations (especially for distribution).
-  // Keep `count` as-is (string or number) for display, but store `count_number` as integer when detectable.
-  const countNum = parseCountNumberLoose(next.count);
-  next.count_number = (countNum == null) ? null : countNum;
-  return next;
-}
-
-let _activitiesTableColumnsCache = null;
-async function getActivitiesTableColumns(pool){
-  if(_activitiesTableColumnsCache) return _activitiesTableColumnsCache;
-  const res = await pool.query(
-    "SELECT column_name FROM information_schema.columns WHERE table_schema = 'public' AND table_name = 'activities'"
-  );
-  const set = new Set((res.rows || []).map(r => String(r.column_name || '').trim()).filter(Boolean));
-  _activitiesTableColumnsCache = set;
-  return set;
-}
-
 async function sendPreview(chatId, s){
   const item = {
     id: s.data.id || makeId(),
@@ -1128,7 +1677,8 @@ async function sendPreview(chatId, s){
     lng: s.data.lng,
     note: s.data.note,
     highlights: s.data.highlights,
-    attachment: s.data.attachment||null
+    attachment: s.data.attachment||null,
+    media: (Array.isArray(s.data.media) && s.data.media.length) ? s.data.media : null
   };
 
   s.pending = item;
@@ -1141,6 +1691,9 @@ async function sendPreview(chatId, s){
     if(item.attachment && item.attachment.type === 'photo' && item.attachment.path && fs.existsSync(item.attachment.path)){
       item.attachment.webPath = path.join('telegram-bot','uploads', path.basename(item.attachment.path));
       await bot.sendPhoto(chatId, item.attachment.path, { caption: preview, parse_mode: 'HTML', reply_markup: keyboard });
+    } else if(item.attachment && item.attachment.type === 'photo' && item.attachment.fileId){
+      // the download is gone (restart / other instance): Telegram still has the photo
+      await bot.sendPhoto(chatId, item.attachment.fileId, { caption: preview, parse_mode: 'HTML', reply_markup: keyboard });
     } else {
       if(item.attachment && item.attachment.path){ item.attachment.webPath = path.join('telegram-bot','uploads', path.basename(item.attachment.path)); }
       await bot.sendMessage(chatId, preview, { parse_mode: 'HTML', reply_markup: keyboard });
@@ -1180,11 +1733,13 @@ async function handleSkip(chatId, s){
   }
   if(s.step === 'location'){
     s.data.location = s.data.location || '';
+    delete s.geo;
     s.step = 'attachment';
     return bot.sendMessage(chatId, 'Skipping location. Attach a photo/doc or type /skip', { reply_markup:{ remove_keyboard:true } });
   }
   if(s.step === 'attachment'){
     s.data.attachment = null;
+    s.data.media = null;
     s.step = 'note';
     return bot.sendMessage(chatId, 'Skipping attachment. Any note? (or /skip)', { reply_markup:{ force_reply:true } });
   }
@@ -1202,18 +1757,39 @@ async function handleSkip(chatId, s){
 function downloadFile(fileId, destPath){
   return bot.getFileLink(fileId).then(url => new Promise((resolve,reject)=>{
     const file = fs.createWriteStream(destPath);
-    https.get(url, (res)=>{ res.pipe(file); file.on('finish', ()=>file.close(()=>resolve(destPath))); }).on('error', (err)=>{ fs.unlink(destPath, ()=>{}); reject(err); });
+    // plain http only for a local Bot API stand-in (TELEGRAM_API_BASE_URL)
+    (/^http:/i.test(url) ? http : https).get(url, (res)=>{ res.pipe(file); file.on('finish', ()=>file.close(()=>resolve(destPath))); }).on('error', (err)=>{ fs.unlink(destPath, ()=>{}); reject(err); });
   }));
 }
 
+// Downloads a photo / document message into UPLOADS_DIR: { type, path, fileId, caption }.
+// Without `path` when the download failed (it is fetched again by file_id on save).
+async function mediaFromMessage(msg){
+  let att = null;
+  let filename = '';
+  if(msg.photo && msg.photo.length){
+    att = { type: 'photo', fileId: msg.photo[msg.photo.length-1].file_id };
+    filename = path.join(UPLOADS_DIR, att.fileId + '.jpg');
+  } else if(msg.document){
+    att = { type: 'doc', fileId: msg.document.file_id };
+    filename = path.join(UPLOADS_DIR, msg.document.file_name || att.fileId);
+  }
+  if(!att) return null;
+  if(msg.caption && String(msg.caption).trim()) att.caption = String(msg.caption).trim();
+  try{ await downloadFile(att.fileId, filename); att.path = filename; }catch(e){ /* keep fileId only */ }
+  if(UPLOAD_MEDIA_ON_RECEIVE) await ensurePublicMediaUrl(att);
+  return att;
+}
+
 function escapeMarkdown(text){
   if(!text) return '';
   return String(text).replace(/([_*\[\]()`~>#+-=|{}.!])/g,'\\$1');
 }
 
-function beginGuidedFlow(msg){
+async function beginGuidedFlow(msg){
   const chatId = msg.chat.id;
-  if(!isAllowed(msg.from.id)) return bot.sendMessage(chatId, 'You are not authorized to use guided input.');
+  const access = await getAccess(msg.from.id);
+  if(!botUsers.can(access, 'activity.create')) return bot.sendMessage(chatId, 'You are not authorized to use guided input.');
   startSession(chatId, msg.from.id, 'create');
   bot.sendMessage(chatId, "Let's create a new activity. What is the title? (e.g. 'Quran distribution — Village X')", { reply_markup:{ force_reply:true } });
 }
@@ -1253,6 +1829,7 @@ async function promptForStep(chatId, s){
     const countText = (s.data.count == null) ? '' : String(s.data.count);
     const locationText = s.data.location || '';
     const hasAttachment = Boolean(s.data.attachment);
+    const albumSize = Array.isArray(s.data.media) ? s.data.media.length : 0;
     const noteText = s.data.note || '';
     const highlightsText = s.data.highlights || '';
 
@@ -1264,7 +1841,7 @@ async function promptForStep(chatId, s){
       `• Date: ${dateText || '(empty)'}\n` +
       `• Count: ${countText || '(empty)'}\n` +
       `• Location: ${locationText || '(empty)'}\n` +
-      `• Attachment: ${hasAttachment ? 'set' : 'none'}\n` +
+      `• Attachment: ${albumSize > 1 ? 'album of ' + albumSize : (hasAttachment ? 'set' : 'none')}\n` +
       `• Note: ${noteText ? '(set)' : '(empty)'}\n\n` +
       `• Highlights: ${highlightsText ? '(set)' : '(empty)'}\n\n` +
       `Choose what to edit:`;
@@ -1292,7 +1869,10 @@ async function promptForStep(chatId, s){
     const msg = (mode === 'edit')
       ? `Current mission: ${cur || '(empty)'}\nChoose a mission below, or type it manually, or /skip to keep.`
       : 'Mission category (for recap + reporting). Choose one:';
-    const opts = await getMissionOptions();
+    let opts = await getMissionOptions();
+    // users limited to some missions only get those as buttons
+    const allowed = botUsers.missionsFor(await getAccess(s.userId), mode === 'edit' ? 'activity.edit' : 'activity.create');
+    if(allowed) opts = allowed.length ? allowed : opts;
     return bot.sendMessage(chatId, msg, { reply_markup: missionKeyboard(opts) });
   }
   if(s.step === 'type'){
@@ -1317,6 +1897,8 @@ async function promptForStep(chatId, s){
     return bot.sendMessage(chatId, msg, { reply_markup:{ force_reply:true } });
   }
   if(s.step === 'location'){
+    // a new question: forget the name of an earlier lookup
+    delete s.geo;
     const cur = s.data.location || '';
     const msg = mode === 'edit'
       ? `Current location: ${cur || '(empty)'}\nShare Telegram location or type a new location, or /skip to keep.`
@@ -1326,9 +1908,10 @@ async function promptForStep(chatId, s){
   }
   if(s.step === 'attachment'){
     const has = Boolean(s.data.attachment);
+    const count = Array.isArray(s.data.media) ? s.data.media.length : 0;
     const msg = (mode === 'edit')
-      ? `Attachment: ${has ? 'currently set' : 'none'}. Send a new photo/doc to replace, or /skip to keep.`
-      : 'Attach a photo/doc or type /skip';
+      ? `Attachment: ${count > 1 ? 'album of ' + count : (has ? 'currently set' : 'none')}. Send a new photo/doc or album to replace, or /skip to keep.`
+      : 'Attach a photo/doc (or an album of up to ' + MAX_ALBUM_ITEMS + ') or type /skip';
     return bot.sendMessage(chatId, msg, { reply_markup:{ remove_keyboard:true } });
   }
   if(s.step === 'note'){
@@ -1347,9 +1930,80 @@ async function promptForStep(chatId, s){
   }
 }
 
+const STEP_LABELS = {
+  title: 'Title',
+  mission: 'Mission',
+  type: 'Activity type',
+  date: 'Date',
+  count: 'Count',
+  location: 'Location',
+  attachment: 'Attachment',
+  note: 'Note',
+  highlights: 'Highlights',
+  confirming: 'Preview / confirm',
+  edit_menu: 'Edit menu'
+};
+
+function formatDraftSummary(s){
+  const d = s.data || {};
+  const dateText = d.date ? formatDateUTC(d.date) : (d.dateRaw || '');
+  const albumSize = Array.isArray(d.media) ? d.media.length : 0;
+  const att = albumSize > 1 ? `album of ${albumSize}` : (d.attachment ? (d.attachment.type === 'photo' ? 'photo' : 'document') : '');
+  const lines = [
+    s.mode === 'edit' ? `Unfinished edit of ${d.id || 'an activity'}` : 'Unfinished new activity',
+    s.startedAt ? `Started ${formatDateUTC(s.startedAt)}` : '',
+    `Stopped at: ${STEP_LABELS[s.step] || s.step}`,
+    '',
+    d.title ? `• Title: ${d.title}` : '',
+    d.mission ? `• Mission: ${d.mission}` : '',
+    d.activity_type ? `• Type: ${d.activity_type}` : '',
+    dateText ? `• Date: ${dateText}` : '',
+    (d.count != null && d.count !== '') ? `• Count: ${d.count}` : '',
+    d.location ? `• Location: ${d.location}` : '',
+    att ? `• Attachment: ${att}` : '',
+    d.note ? `• Note: ${d.note}` : '',
+    d.highlights ? `• Highlights: ${d.highlights}` : ''
+  ];
+  return lines.filter((l, i) => l || i === 3).join('\n');
+}
+
+// /resume: show the saved draft and ask for the step it stopped at again.
+async function handleResumeCommand(chatId, userId){
+  if(!(await requireAccess(chatId, userId, 'bot.use'))) return;
+  const s = sessions[chatId];
+  if(!s){
+    const kept = SESSION_TTL_SECONDS ? `Unfinished drafts are kept for ${SESSION_TTL_HOURS} hour${SESSION_TTL_HOURS === 1 ? '' : 's'} after their last step; start` : 'Start';
+    return bot.sendMessage(chatId, `Nothing to resume. ${kept} a new one with /new.`);
+  }
+  const summary = formatDraftSummary(s);
+  await bot.sendMessage(chatId, (summary.length > 3900 ? summary.slice(0, 3890) + '\n…' : summary) + '\n\nCarry on below, /back to go a step back, or /cancel to discard.');
+  if(s.step === 'confirming') return sendPreview(chatId, s);
+  return promptForStep(chatId, s);
+}
+
+// After a restart (polling mode): tell each chat with a saved draft that it is still there.
+async function notifyResumableDrafts(){
+  const pool = getDbPool();
+  if(!pool) return;
+  try{
+    const removed = await sessionStore.deleteExpiredChatStates(pool, SESSION_TTL_SECONDS);
+    if(removed) console.log(`Dropped ${removed} chat state(s) older than ${SESSION_TTL_HOURS}h`);
+    const drafts = await sessionStore.claimDraftsForResumeNotice(pool, SESSION_TTL_SECONDS);
+    for(const d of drafts){
+      const s = d.state.session;
+      const what = s.mode === 'edit' ? 'edit' : 'new activity';
+      await bot.sendMessage(d.chatId, `The bot was restarted. Your unfinished ${what} is saved (stopped at: ${STEP_LABELS[s.step] || s.step}).\nSend /resume to see it and carry on, or /cancel to discard it.`)
+        .catch(e => console.warn('Resume notice failed for chat', d.chatId, e && (e.message || e)));
+    }
+  }catch(e){
+    console.warn('Could not check saved drafts:', e && (e.message || e));
+  }
+}
+
 async function beginEditFlow(msg, id){
   const chatId = msg.chat.id;
-  if(!isAllowed(msg.from.id)) return bot.sendMessage(chatId, 'Not authorized');
+  const access = await requireAccess(chatId, msg.from.id, 'activity.edit');
+  if(!access) return;
   if(sessions[chatId]) return bot.sendMessage(chatId, 'You are already in a session. Type /cancel to stop it first.');
   let activityId = normalizeText(id);
   if(!activityId) return bot.sendMessage(chatId, 'Usage: /edit <id> (get the id from /list)');
@@ -1373,6 +2027,7 @@ async function beginEditFlow(msg, id){
       existing = arr.find(a => String(a.id) === activityId) || null;
     }
     if(!existing) return bot.sendMessage(chatId, 'Not found: ' + activityId);
+    if(!(await checkActivityAccess(chatId, access, 'activity.edit', await getActivityScopeForCheck(existing.id)))) return;
 
     startSession(chatId, msg.from.id, 'edit');
     const s = sessions[chatId];
@@ -1387,6 +2042,7 @@ async function beginEditFlow(msg, id){
         if(rawObj && rawObj.activity_type) s.data.activity_type = String(rawObj.activity_type);
         if(rawObj && rawObj.highlights) s.data.highlights = String(rawObj.highlights);
         if(rawObj && rawObj.mission) s.data.mission = String(rawObj.mission);
+        if(rawObj && Array.isArray(rawObj.media) && rawObj.media.length) s.data.media = rawObj.media;
       }
     }catch(e){ /* ignore */ }
     s.data.date = existing.date ? safeDateISO(existing.date) : (existing.activity_date ? safeDateISO(existing.activity_date) : safeDateISO(''));
@@ -1414,11 +2070,11 @@ bot.onText(/\/menu/, (msg)=> sendMainMenu(msg.chat.id));
 bot.onText(/\/help/, (msg)=> bot.sendMessage(msg.chat.id, getHelpText()));
 
 bot.onText(/\/new/, (msg)=> beginGuidedFlow(msg));
-bot.onText(/\/cancel/, (msg)=>{ pendingMenuActionByChatId[msg.chat.id] = null; endSession(msg.chat.id); bot.sendMessage(msg.chat.id, 'Canceled.'); });
+bot.onText(/\/cancel/, (msg)=>{ pendingMenuActionByChatId[msg.chat.id] = null; delete pendingImportByChatId[msg.chat.id]; endSession(msg.chat.id); bot.sendMessage(msg.chat.id, 'Canceled.'); });
 
 bot.onText(/\/missions\b/i, async (msg)=>{
   const chatId = msg.chat.id;
-  if(!isAllowed(msg.from.id)) return bot.sendMessage(chatId, 'Not authorized');
+  if(!(await requireAccess(chatId, msg.from.id, 'bot.use'))) return;
   try{
     const list = await getMissionOptions();
     if(!list.length) return bot.sendMessage(chatId, 'No missions found.');
@@ -1430,7 +2086,7 @@ bot.onText(/\/missions\b/i, async (msg)=>{
 
 bot.onText(/\/mission_add\s+([\s\S]+)/i, async (msg, match)=>{
   const chatId = msg.chat.id;
-  if(!isAllowed(msg.from.id)) return bot.sendMessage(chatId, 'Not authorized');
+  if(!(await requireAccess(chatId, msg.from.id, 'missions.manage'))) return;
   const rawName = match && match[1] ? String(match[1]) : '';
   const name = normalizeMission(rawName).replace(/\s+/g, ' ').replace(/:/g, ' - ').slice(0, 40);
   if(!name) return bot.sendMessage(chatId, 'Usage: /mission_add <name>');
@@ -1453,13 +2109,13 @@ bot.onText(/\/mission_add\s+([\s\S]+)/i, async (msg, match)=>{
     _missionOptionsCache = { at: 0, list: [] };
     return bot.sendMessage(chatId, 'Added mission: ' + name + '\nUse /missions to verify.');
   }catch(e){
-    return bot.sendMessage(chatId, 'Failed to add mission. If this is your first time, run telegram-bot/mission-schema.sql in Neon.\nError: ' + (e.message || e));
+    return bot.sendMessage(chatId, 'Failed to add mission. If this is your first time, run `npm run migrate` in telegram-bot.\nError: ' + (e.message || e));
   }
 });
 
 bot.onText(/\/mission_disable\s+([\s\S]+)/i, async (msg, match)=>{
   const chatId = msg.chat.id;
-  if(!isAllowed(msg.from.id)) return bot.sendMessage(chatId, 'Not authorized');
+  if(!(await requireAccess(chatId, msg.from.id, 'missions.manage'))) return;
   const rawName = match && match[1] ? String(match[1]) : '';
   const name = normalizeMission(rawName).replace(/\s+/g, ' ').replace(/:/g, ' - ').slice(0, 40);
   if(!name) return bot.sendMessage(chatId, 'Usage: /mission_disable <name>');
@@ -1476,13 +2132,13 @@ bot.onText(/\/mission_disable\s+([\s\S]+)/i, async (msg, match)=>{
     _missionOptionsCache = { at: 0, list: [] };
     return bot.sendMessage(chatId, 'Mission disabled: ' + name + '\nIt will no longer generate recaps and won\'t appear in the mission picker.');
   }catch(e){
-    return bot.sendMessage(chatId, 'Failed to disable mission. If this is your first time, run telegram-bot/mission-schema.sql in Neon.\nError: ' + (e.message || e));
+    return bot.sendMessage(chatId, 'Failed to disable mission. If this is your first time, run `npm run migrate` in telegram-bot.\nError: ' + (e.message || e));
   }
 });
 
 bot.onText(/\/mission_enable\s+([\s\S]+)/i, async (msg, match)=>{
   const chatId = msg.chat.id;
-  if(!isAllowed(msg.from.id)) return bot.sendMessage(chatId, 'Not authorized');
+  if(!(await requireAccess(chatId, msg.from.id, 'missions.manage'))) return;
   const rawName = match && match[1] ? String(match[1]) : '';
   const name = normalizeMission(rawName).replace(/\s+/g, ' ').replace(/:/g, ' - ').slice(0, 40);
   if(!name) return bot.sendMessage(chatId, 'Usage: /mission_enable <name>');
@@ -1499,31 +2155,42 @@ bot.onText(/\/mission_enable\s+([\s\S]+)/i, async (msg, match)=>{
     _missionOptionsCache = { at: 0, list: [] };
     return bot.sendMessage(chatId, 'Mission enabled: ' + name + '\nIt will generate recaps and appear in the mission picker.');
   }catch(e){
-    return bot.sendMessage(chatId, 'Failed to enable mission. If this is your first time, run telegram-bot/mission-schema.sql in Neon.\nError: ' + (e.message || e));
+    return bot.sendMessage(chatId, 'Failed to enable mission. If this is your first time, run `npm run migrate` in telegram-bot.\nError: ' + (e.message || e));
   }
 });
 
+bot.onText(/\/resume\b/i, (msg)=> handleResumeCommand(msg.chat.id, msg.from.id));
+bot.onText(/\/settings\b/i, (msg)=> handleSettingsCommand(msg.chat.id, msg.from.id));
+bot.onText(/\/set_target(?:@\w+)?(?:\s+([\s\S]+))?$/i, (msg, match)=> handleSetTarget(msg.chat.id, msg.from.id, match && match[1]));
+bot.onText(/\/set_baseline(?:@\w+)?(?:\s+([\s\S]+))?$/i, (msg, match)=> handleSetBaseline(msg.chat.id, msg.from.id, match && match[1]));
+bot.onText(/\/whoami\b/i, (msg)=> handleWhoamiCommand(msg.chat.id, msg.from.id));
+bot.onText(/\/users\b/i, (msg)=> handleUsersCommand(msg.chat.id, msg.from.id));
+bot.onText(/\/grant(?:@\w+)?(?:\s+([\s\S]+))?$/i, (msg, match)=> handleGrantCommand(msg.chat.id, msg.from.id, match && match[1]));
+bot.onText(/\/revoke(?:@\w+)?(?:\s+([\s\S]+))?$/i, (msg, match)=> handleRevokeCommand(msg.chat.id, msg.from.id, match && match[1]));
+bot.onText(/\/import\b/i, (msg)=> handleImportCommand(msg.chat.id, msg.from.id));
+
 // Allow skipping steps in the guided flow from any step.
-bot.onText(/\/skip(?:@\w+)?/i, (msg)=>{
+bot.onText(/\/skip(?:@\w+)?/i, async (msg)=>{
   const chatId = msg.chat.id;
   const s = sessions[chatId];
   if(!s) return;
-  handleSkip(chatId, s).catch(()=>{});
+  if(!(await sessionAllowed(msg.from.id, s))) return bot.sendMessage(chatId, 'Not authorized');
+  return handleSkip(chatId, s).catch(()=>{});
 });
 
-bot.onText(/\/back(?:@\w+)?/i, (msg)=>{
+bot.onText(/\/back(?:@\w+)?/i, async (msg)=>{
   const chatId = msg.chat.id;
   const s = sessions[chatId];
   if(!s) return;
+  if(!(await sessionAllowed(msg.from.id, s))) return bot.sendMessage(chatId, 'Not authorized');
   if(isEditMenuMode(s) && s.step !== 'edit_menu'){
     s.step = 'edit_menu';
-    promptForStep(chatId, s).catch(()=>{});
-    return;
+    return promptForStep(chatId, s).catch(()=>{});
   }
   const prev = stepPrev(s.step);
   if(!prev) return bot.sendMessage(chatId, 'Already at the first step.');
   s.step = prev;
-  promptForStep(chatId, s).catch(()=>{});
+  return promptForStep(chatId, s).catch(()=>{});
 });
 
 bot.onText(/\/edit\s+([\s\S]+)/i, (msg, match)=>{
@@ -1535,17 +2202,27 @@ bot.onText(/\/delete\s+([\s\S]+)/i, (msg, match)=>{
   return handleDeleteById(chatId, msg.from.id, match && match[1]);
 });
 
+bot.onText(/\/history(?:@\w+)?(?:\s+([\s\S]+))?$/i, (msg, match)=>{
+  return handleHistoryById(msg.chat.id, msg.from.id, match && match[1]);
+});
+
+bot.onText(/\/restore(?:@\w+)?(?:\s+([\s\S]+))?$/i, (msg, match)=>{
+  return handleRestoreById(msg.chat.id, msg.from.id, match && match[1]);
+});
+
 bot.onText(/\/add(\s+[\s\S]+)/i, (msg, match)=>{
-  if(!isAllowed(msg.from.id)) return bot.sendMessage(msg.chat.id, 'Not authorized');
-  (async function(){
+  return (async function(){
     try{
+      // quick add has no mission field: needs a role that is not limited to missions
+      const access = await getAccess(msg.from.id);
+      if(!botUsers.can(access, 'activity.create', { mission: '' })) return bot.sendMessage(msg.chat.id, 'Not authorized');
       const parts = match[1].trim().split('|').map(s=>s.trim());
       const [title, dateStr, countStr, location, latlng, note] = parts;
       const item = { id: makeId(), title: title||'Activity', date: safeDateISO(dateStr||''), count: countStr? (isNaN(Number(countStr))?countStr:Number(countStr)) : null, location: location||'', note: note||'' };
       if(latlng){ const m = latlng.split(/[ ,;]+/).map(Number); if(m.length>=2) { item.lat = m[0]; item.lng = m[1]; } }
 
       if(dbEnabled()){
-        await insertActivityToDb(item);
+        await insertActivityToDb(item, msg.from.id);
       } else {
         const arr = loadActivities(); arr.push(item); arr.sort((a,b)=> new Date(a.date)-new Date(b.date)); saveActivities(arr);
       }
@@ -1560,7 +2237,7 @@ bot.onText(/\/add(\s+[\s\S]+)/i, (msg, match)=>{
 
 bot.onText(/\/list(?:\s+(\d+))?\b/i, (msg, match)=>{
   const page = match && match[1] ? (Math.max(1, Number(match[1])) - 1) : 0;
-  sendRecentListPage(msg.chat.id, page).catch(()=>{});
+  return sendRecentListPage(msg.chat.id, msg.from.id, page).catch(()=>{});
 });
 
 bot.on('message', async (msg)=>{
@@ -1586,6 +2263,7 @@ bot.on('message', async (msg)=>{
     try{
       const recap = await getRecapPostById(recapId);
       if(!recap) return void bot.sendMessage(chatId, 'Recap not found.');
+      if(!botUsers.can(await getAccess(msg.from.id), 'recap.review', { mission: recap.mission })) return void bot.sendMessage(chatId, 'Not authorized');
       if(String(recap.status) !== 'pending') return void bot.sendMessage(chatId, 'Recap is not pending anymore.');
 
       await updateRecapDraftHtml(recapId, rawText);
@@ -1630,7 +2308,7 @@ bot.on('message', async (msg)=>{
       if(cmd === 'list'){
         const n = String(arg || '').trim();
         const page = /^\d+$/.test(n) ? (Math.max(1, Number(n)) - 1) : 0;
-        return void sendRecentListPage(chatId, page);
+        return void sendRecentListPage(chatId, msg.from.id, page);
       }
       if(cmd === 'cancel'){
         pendingMenuActionByChatId[chatId] = null;
@@ -1638,12 +2316,13 @@ bot.on('message', async (msg)=>{
         return void bot.sendMessage(chatId, 'Canceled.');
       }
       if(cmd === 'missions'){
+        if(!(await requireAccess(chatId, msg.from.id, 'bot.use'))) return;
         const list = await getMissionOptions();
         if(!list.length) return void bot.sendMessage(chatId, 'No missions found.');
         return void bot.sendMessage(chatId, 'Missions:\n' + list.map(x => '• ' + x).join('\n'));
       }
       if(cmd === 'mission_add'){
-        if(!isAllowed(msg.from.id)) return void bot.sendMessage(chatId, 'Not authorized');
+        if(!(await requireAccess(chatId, msg.from.id, 'missions.manage'))) return;
         const rawName = String(arg || '');
         const name = normalizeMission(rawName).replace(/\s+/g, ' ').replace(/:/g, ' - ').slice(0, 40);
         if(!name) return void bot.sendMessage(chatId, 'Usage: /mission_add <name>');
@@ -1665,11 +2344,11 @@ bot.on('message', async (msg)=>{
           _missionOptionsCache = { at: 0, list: [] };
           return void bot.sendMessage(chatId, 'Added mission: ' + name + '\nUse /missions to verify.');
         }catch(e){
-          return void bot.sendMessage(chatId, 'Failed to add mission. If this is your first time, run telegram-bot/mission-schema.sql in Neon.\nError: ' + (e.message || e));
+          return void bot.sendMessage(chatId, 'Failed to add mission. If this is your first time, run `npm run migrate` in telegram-bot.\nError: ' + (e.message || e));
         }
       }
       if(cmd === 'mission_disable'){
-        if(!isAllowed(msg.from.id)) return void bot.sendMessage(chatId, 'Not authorized');
+        if(!(await requireAccess(chatId, msg.from.id, 'missions.manage'))) return;
         const name = normalizeMission(arg).replace(/\s+/g, ' ').replace(/:/g, ' - ').slice(0, 40);
         if(!name) return void bot.sendMessage(chatId, 'Usage: /mission_disable <name>');
         if(!dbEnabled()) return void bot.sendMessage(chatId, 'DB not configured. Cannot disable missions.');
@@ -1688,7 +2367,7 @@ bot.on('message', async (msg)=>{
         }
       }
       if(cmd === 'mission_enable'){
-        if(!isAllowed(msg.from.id)) return void bot.sendMessage(chatId, 'Not authorized');
+        if(!(await requireAccess(chatId, msg.from.id, 'missions.manage'))) return;
         const name = normalizeMission(arg).replace(/\s+/g, ' ').replace(/:/g, ' - ').slice(0, 40);
         if(!name) return void bot.sendMessage(chatId, 'Usage: /mission_enable <name>');
         if(!dbEnabled()) return void bot.sendMessage(chatId, 'DB not configured. Cannot enable missions.');
@@ -1706,14 +2385,25 @@ bot.on('message', async (msg)=>{
           return void bot.sendMessage(chatId, 'Failed to enable mission: ' + (e.message || e));
         }
       }
+      if(cmd === 'resume') return void handleResumeCommand(chatId, msg.from.id);
+      if(cmd === 'settings') return void handleSettingsCommand(chatId, msg.from.id);
+      if(cmd === 'set_target') return void handleSetTarget(chatId, msg.from.id, arg);
+      if(cmd === 'set_baseline') return void handleSetBaseline(chatId, msg.from.id, arg);
+      if(cmd === 'whoami') return void handleWhoamiCommand(chatId, msg.from.id);
+      if(cmd === 'users') return void handleUsersCommand(chatId, msg.from.id);
+      if(cmd === 'grant') return void handleGrantCommand(chatId, msg.from.id, arg);
+      if(cmd === 'revoke') return void handleRevokeCommand(chatId, msg.from.id, arg);
+      if(cmd === 'import') return void handleImportCommand(chatId, msg.from.id);
       if(cmd === 'skip'){
         const s = sessions[chatId];
         if(!s) return void bot.sendMessage(chatId, 'No active session.');
+        if(!(await sessionAllowed(msg.from.id, s))) return void bot.sendMessage(chatId, 'Not authorized');
         return void handleSkip(chatId, s);
       }
       if(cmd === 'back'){
         const s = sessions[chatId];
         if(!s) return void bot.sendMessage(chatId, 'No active session.');
+        if(!(await sessionAllowed(msg.from.id, s))) return void bot.sendMessage(chatId, 'Not authorized');
         if(isEditMenuMode(s) && s.step !== 'edit_menu'){
           s.step = 'edit_menu';
           return void promptForStep(chatId, s);
@@ -1733,11 +2423,18 @@ bot.on('message', async (msg)=>{
     }
   }
 
+  // A spreadsheet sent outside /new: bulk import (the attachment step keeps documents as attachments).
+  if(!sessions[chatId] && msg.document && (pendingMenuActionByChatId[chatId] === 'import' || activityImport.importKindForDocument(msg.document.file_name, msg.document.mime_type))){
+    pendingMenuActionByChatId[chatId] = null;
+    return handleImportDocument(chatId, msg.from.id, msg.document);
+  }
+
   // Handle menu-driven prompts even when not in a guided session.
   const pendingMenuAction = pendingMenuActionByChatId[chatId];
   if(!sessions[chatId] && pendingMenuAction){
     // Avoid intercepting normal commands.
-    if(msg.text && /^\/(start|help|menu|new|cancel|skip|back|edit|delete|add|list)\b/i.test(msg.text)) return;
+    if(msg.text && /^\/(start|help|menu|new|cancel|skip|back|edit|delete|history|restore|add|list|resume|settings|set_target|set_baseline|grant|revoke|users|whoami|import)\b/i.test(msg.text)) return;
+    if(pendingMenuAction === 'import') return bot.sendMessage(chatId, 'Please send the .csv or .xlsx file as a document, or /cancel.');
 
     const raw = normalizeText(msg.text);
     pendingMenuActionByChatId[chatId] = null;
@@ -1756,7 +2453,17 @@ bot.on('message', async (msg)=>{
   if(!s) return;
   try{
     // Commands are handled by onText handlers; avoid double-processing in the step machine.
-    if(msg.text && /^\/(start|help|menu|new|cancel|skip|back|edit|delete|add|list)\b/i.test(msg.text)) return;
+    if(msg.text && /^\/(start|help|menu|new|cancel|skip|back|edit|delete|history|restore|add|list|resume|settings|set_target|set_baseline|grant|revoke|users|whoami|import)\b/i.test(msg.text)) return;
+    if(!(await sessionAllowed(msg.from.id, s))) return bot.sendMessage(chatId, 'Not authorized');
+
+    // The rest of an album sent at the attachment step: add it quietly, whatever step we're on now.
+    if(msg.media_group_id && s.data.mediaGroupId === msg.media_group_id && ((msg.photo && msg.photo.length) || msg.document)){
+      const media = Array.isArray(s.data.media) ? s.data.media : [];
+      if(media.length >= MAX_ALBUM_ITEMS) return;
+      const att = await mediaFromMessage(msg);
+      if(att) s.data.media = media.concat([att]);
+      return;
+    }
 
     if(s.step==='title'){
       if(isSkipText(msg.text) && s.mode === 'edit'){
@@ -1776,8 +2483,13 @@ bot.on('message', async (msg)=>{
       if(isSkipText(raw)){
         if(s.mode !== 'edit') s.data.mission = '';
       } else {
+        if(await rejectMissionOutsideScope(chatId, s, msg.from.id, normalizeMission(raw))) return;
         s.data.mission = normalizeMission(raw);
       }
+      if(s.missionThenPreview){
+        delete s.missionThenPreview;
+        return sendPreview(chatId, s);
+      }
       if(isEditMenuMode(s)){
         s.step = 'edit_menu';
         return promptForStep(chatId, s);
@@ -1853,6 +2565,7 @@ bot.on('message', async (msg)=>{
       if(isSkipText(msg.text)){
         // keep existing when editing; otherwise blank
         if(s.mode !== 'edit') s.data.location = '';
+        delete s.geo;
         if(isEditMenuMode(s)){
           s.step = 'edit_menu';
           return promptForStep(chatId, s);
@@ -1861,67 +2574,43 @@ bot.on('message', async (msg)=>{
         return promptForStep(chatId, s);
       }
       if(msg.location){
-        s.data.lat = msg.location.latitude; s.data.lng = msg.location.longitude; s.data.location = 'Shared location';
-        if(isEditMenuMode(s)){
-          s.step = 'edit_menu';
-          return promptForStep(chatId, s);
-        }
-        s.step='attachment';
-        return bot.sendMessage(chatId, 'Location set from your shared location. Attach a photo/doc or type /skip', { reply_markup:{ remove_keyboard:true } });
+        s.data.lat = msg.location.latitude; s.data.lng = msg.location.longitude;
+        // a pin dropped for a typed name (not found / not in the list): remember it under that name
+        const named = s.geo && s.geo.query ? s.geo.query : '';
+        s.data.location = named || 'Shared location';
+        if(named) await rememberConfirmedPlace(named, { display_name: named, lat: s.data.lat, lng: s.data.lng }, 'pin', msg.from.id);
+        return finishLocationStep(chatId, s, named
+          ? `Pin saved for "${named}" ${formatCoords(s.data.lat, s.data.lng)}.`
+          : 'Location set from your shared location.');
       }
       if(msg.text && msg.text!=='Send my location' && msg.text!=='Type location'){
-        const typed = msg.text.trim(); // try to geocode
-        const geo = await geocodeLocation(typed);
-        if(geo){
-          s.data.lat = geo.lat; s.data.lng = geo.lng; s.data.location = geo.display_name;
-          if(isEditMenuMode(s)){
-            s.step = 'edit_menu';
-            return promptForStep(chatId, s);
-          }
-          s.step='attachment';
-          return bot.sendMessage(chatId, `Location resolved: ${geo.display_name} (${geo.lat.toFixed(5)}, ${geo.lng.toFixed(5)})\nAttach photo/doc or type /skip`);
-        }
-        // fallback: store text only but warn user
-        s.data.location = typed;
-        // Clear coords so we don't keep stale lat/lng when the new text couldn't be resolved.
-        s.data.lat = null;
-        s.data.lng = null;
-        if(isEditMenuMode(s)){
-          s.step = 'edit_menu';
-          return promptForStep(chatId, s);
-        }
-        s.step='attachment';
-        return bot.sendMessage(chatId, 'Location saved as text (could not geocode). Example formats: "Kuala Lumpur, Malaysia" or "Bukit Bintang, Kuala Lumpur". You can send a Telegram location instead to set coords, or continue and attach photo/doc. Type /skip to continue.');
+        return resolveTypedLocation(chatId, s, msg.text.trim(), msg.from.id);
       }
       return bot.sendMessage(chatId, 'Tap Send my location or type location name');
     }
     if(s.step==='attachment'){
       // If user sends text like "skip" or "/skip@bot" treat it as skip.
-      if(msg.photo && msg.photo.length){
-        const fileId = msg.photo[msg.photo.length-1].file_id;
-        const filename = path.join(UPLOADS_DIR, fileId + '.jpg');
-        try{ await downloadFile(fileId, filename); s.data.attachment={type:'photo',path:filename,fileId}; }catch(e){ s.data.attachment={type:'photo',fileId}; }
-        if(isEditMenuMode(s)){
-          s.step = 'edit_menu';
-          return promptForStep(chatId, s);
-        }
-        s.step='note';
-        return bot.sendMessage(chatId, 'Photo saved. Add an optional note (or type /skip). Tip: use full-resolution images for best results.');
-      }
-      if(msg.document){
-        const fileId=msg.document.file_id;
-        const filename = path.join(UPLOADS_DIR, msg.document.file_name||fileId);
-        try{ await downloadFile(fileId, filename); s.data.attachment={type:'doc',path:filename,fileId}; }catch(e){ s.data.attachment={type:'doc',fileId}; }
+      if((msg.photo && msg.photo.length) || msg.document){
+        const att = await mediaFromMessage(msg);
+        s.data.attachment = att;
+        s.data.media = [att];
+        // the rest of an album arrives as separate messages with the same media_group_id
+        s.data.mediaGroupId = msg.media_group_id || null;
         if(isEditMenuMode(s)){
           s.step = 'edit_menu';
           return promptForStep(chatId, s);
         }
         s.step='note';
+        if(msg.media_group_id) return bot.sendMessage(chatId, `Album received: the other photos are added as they arrive (up to ${MAX_ALBUM_ITEMS}). Add an optional note (or type /skip).`);
+        if(att.type === 'photo') return bot.sendMessage(chatId, 'Photo saved. Add an optional note (or type /skip). Tip: use full-resolution images for best results.');
         return bot.sendMessage(chatId, 'Document saved. Any note? (or /skip)');
       }
       if(msg.text && isSkipText(msg.text)){
         // keep existing when editing; otherwise clear
-        if(s.mode !== 'edit') s.data.attachment = null;
+        if(s.mode !== 'edit'){
+          s.data.attachment = null;
+          s.data.media = null;
+        }
         if(isEditMenuMode(s)){
           s.step = 'edit_menu';
           return promptForStep(chatId, s);
@@ -1984,7 +2673,7 @@ bot.on('callback_query', async (cq) => {
     }
     if(data === '_menu_list'){
       await bot.answerCallbackQuery(cq.id, { text: 'Listing…' });
-      await sendRecentListPage(chatId, 0);
+      await sendRecentListPage(chatId, cq.from.id, 0);
       return;
     }
     if(data === '_menu_help'){
@@ -1993,14 +2682,16 @@ bot.on('callback_query', async (cq) => {
       return;
     }
     if(data === '_menu_edit'){
-      pendingMenuActionByChatId[chatId] = 'edit';
       await bot.answerCallbackQuery(cq.id, { text: 'Edit' });
+      if(!(await requireAccess(chatId, cq.from.id, 'activity.edit'))) return;
+      pendingMenuActionByChatId[chatId] = 'edit';
       await bot.sendMessage(chatId, 'Send the activity ID to edit (get it from /list).', { reply_markup:{ force_reply:true } });
       return;
     }
     if(data === '_menu_delete'){
-      pendingMenuActionByChatId[chatId] = 'delete';
       await bot.answerCallbackQuery(cq.id, { text: 'Delete' });
+      if(!(await requireAccess(chatId, cq.from.id, 'activity.delete'))) return;
+      pendingMenuActionByChatId[chatId] = 'delete';
       await bot.sendMessage(chatId, 'Send the activity ID to delete (get it from /list).', { reply_markup:{ force_reply:true } });
       return;
     }
@@ -2016,13 +2707,13 @@ bot.on('callback_query', async (cq) => {
     if(typeof data === 'string' && data.startsWith('_list_page:')){
       const n = Number(String(data.split(':')[1] || '').trim());
       await bot.answerCallbackQuery(cq.id, { text: 'Loading…' });
-      await sendRecentListPage(chatId, Number.isFinite(n) ? n : 0, { editMessageId: messageId });
+      await sendRecentListPage(chatId, cq.from.id, Number.isFinite(n) ? n : 0, { editMessageId: messageId });
       return;
     }
     if(typeof data === 'string' && data.startsWith('_list_refresh:')){
       const n = Number(String(data.split(':')[1] || '').trim());
       await bot.answerCallbackQuery(cq.id, { text: 'Refreshing…' });
-      await sendRecentListPage(chatId, Number.isFinite(n) ? n : 0, { editMessageId: messageId });
+      await sendRecentListPage(chatId, cq.from.id, Number.isFinite(n) ? n : 0, { editMessageId: messageId });
       return;
     }
     if(data === '_list_close'){
@@ -2043,11 +2734,124 @@ bot.on('callback_query', async (cq) => {
       return handleDeleteById(chatId, cq.from.id, id);
     }
 
+    // Spreadsheet import preview (handleImportDocument); needs no session
+    if(data === '_import_confirm' || data === '_import_cancel'){
+      const pending = pendingImportByChatId[chatId];
+      if(!pending){
+        await bot.answerCallbackQuery(cq.id, { text: 'Import expired. Send the file again.' });
+        return;
+      }
+      if(data === '_import_cancel'){
+        delete pendingImportByChatId[chatId];
+        try{ await bot.editMessageReplyMarkup({}, { chat_id: chatId, message_id: cq.message.message_id }); }catch(e){}
+        await bot.answerCallbackQuery(cq.id, { text: 'Canceled' });
+        await bot.sendMessage(chatId, 'Import canceled. Nothing was saved.');
+        return;
+      }
+      // whoever taps must be allowed to create every row's mission
+      const access = await getAccess(cq.from && cq.from.id);
+      const refused = pending.items.find(({ item }) => !botUsers.can(access, 'activity.create', { mission: item.mission }));
+      if(refused){
+        await bot.answerCallbackQuery(cq.id, { text: 'Not authorized' + (botUsers.can(access, 'activity.create') ? ' for ' + (refused.item.mission || '(none)') : '') });
+        return;
+      }
+      delete pendingImportByChatId[chatId];
+      try{ await bot.editMessageReplyMarkup({}, { chat_id: chatId, message_id: cq.message.message_id }); }catch(e){}
+      await bot.answerCallbackQuery(cq.id, { text: 'Importing…' });
+      try{
+        const n = await saveImportedActivities(pending, cq.from.id);
+        await bot.sendMessage(chatId, `Imported ${n} activit${n === 1 ? 'y' : 'ies'} from ${pending.fileName}.`);
+      }catch(e){
+        console.error('Import failed', e);
+        await bot.sendMessage(chatId, 'Import failed, nothing was saved: ' + (e.message || e) + '\nSend the file again to retry.');
+      }
+      return;
+    }
+
+    // Daily recap approval workflow (used by Railway cron job recap-daily.js); needs no session
+    if(typeof data === 'string' && data.startsWith('_recap_')){
+      const access = await getAccess(cq.from && cq.from.id);
+      if(!botUsers.can(access, 'recap.review')){
+        await bot.answerCallbackQuery(cq.id, { text: 'Not authorized' });
+        return;
+      }
+      if(!dbEnabled()){
+        await bot.answerCallbackQuery(cq.id, { text: 'DB not configured' });
+        return;
+      }
+      const parts = data.split(':');
+      const action = parts[0];
+      const recapId = parts[1] ? String(parts[1]).trim() : '';
+      if(!isUuidLike(recapId)){
+        await bot.answerCallbackQuery(cq.id, { text: 'Invalid recap id' });
+        return;
+      }
+
+      const recap = await getRecapPostById(recapId);
+      if(!recap){
+        await bot.answerCallbackQuery(cq.id, { text: 'Recap not found' });
+        return;
+      }
+      if(!botUsers.can(access, 'recap.review', { mission: recap.mission })){
+        await bot.answerCallbackQuery(cq.id, { text: 'Not authorized for ' + recap.mission });
+        return;
+      }
+      if(String(recap.status) !== 'pending'){
+        await bot.answerCallbackQuery(cq.id, { text: 'Already handled' });
+        return;
+      }
+
+      if(action === '_recap_cancel'){
+        await markRecapCanceled(recapId);
+        try{ await bot.editMessageReplyMarkup({}, { chat_id: chatId, message_id: cq.message.message_id }); }catch(e){}
+        await bot.answerCallbackQuery(cq.id, { text: 'Canceled' });
+        await bot.sendMessage(chatId, 'Recap canceled.');
+        return;
+      }
+
+      if(action === '_recap_edit'){
+        recapEditByChatId[chatId] = { recapId };
+        await bot.answerCallbackQuery(cq.id, { text: 'Edit' });
+        await bot.sendMessage(chatId, 'Send the edited recap text now (HTML supported). Type /cancel to stop editing.');
+        return;
+      }
+
+      if(action === '_recap_approve'){
+        if(!RECAP_PUBLIC_CHAT_ID){
+          await bot.answerCallbackQuery(cq.id, { text: 'No channel configured' });
+          await bot.sendMessage(chatId, 'Missing TELEGRAM_PUBLIC_CHANNEL_ID (or fallback TELEGRAM_CHANNEL_ID). Cannot post recap.');
+          return;
+        }
+
+        const text = String(recap.draft_html || '').trim();
+        if(!text){
+          await bot.answerCallbackQuery(cq.id, { text: 'Empty recap' });
+          await bot.sendMessage(chatId, 'Recap draft is empty; not posting.');
+          return;
+        }
+
+        // Post to channel
+        const posted = await bot.sendMessage(RECAP_PUBLIC_CHAT_ID, text, { parse_mode: 'HTML', disable_web_page_preview: true });
+        await markRecapPosted(recapId, RECAP_PUBLIC_CHAT_ID, posted && posted.message_id);
+        try{ await bot.editMessageReplyMarkup({}, { chat_id: chatId, message_id: cq.message.message_id }); }catch(e){}
+        await bot.answerCallbackQuery(cq.id, { text: 'Posted' });
+        await bot.sendMessage(chatId, 'Recap approved and posted.');
+        return;
+      }
+
+      await bot.answerCallbackQuery(cq.id, { text: 'Unknown recap action' });
+      return;
+    }
+
     const session = sessions[chatId];
     if(!session){
       await bot.answerCallbackQuery(cq.id, { text: 'Session expired.' });
       return;
     }
+    if(!(await sessionAllowed(cq.from.id, session))){
+      await bot.answerCallbackQuery(cq.id, { text: 'Not authorized' });
+      return;
+    }
 
     // Type picker (works in create/edit flows)
     if(typeof data === 'string' && data.startsWith('_set_type:')){
@@ -2062,6 +2866,53 @@ bot.on('callback_query', async (cq) => {
       return;
     }
 
+    // Location candidates (resolveTypedLocation)
+    if(typeof data === 'string' && data.startsWith('_geo_')){
+      const geo = session.geo;
+      if(data === '_geo_search'){
+        // right after a cached answer only; later steps go back with /back
+        if(!geo || !geo.query || !(session.step === 'attachment' || isEditMenuMode(session))){
+          await bot.answerCallbackQuery(cq.id, { text: 'Use /back to change the location' });
+          return;
+        }
+        await bot.answerCallbackQuery(cq.id, { text: 'Searching…' });
+        session.step = 'location';
+        await resolveTypedLocation(chatId, session, geo.query, cq.from.id, { fresh: true });
+        return;
+      }
+      if(!geo || !geo.query || session.step !== 'location'){
+        await bot.answerCallbackQuery(cq.id, { text: 'Expired: type the location again' });
+        return;
+      }
+      if(data.startsWith('_geo_pick:')){
+        const c = (geo.candidates || [])[Number(data.slice('_geo_pick:'.length))];
+        if(!c){
+          await bot.answerCallbackQuery(cq.id, { text: 'Expired: type the location again' });
+          return;
+        }
+        session.data.lat = c.lat; session.data.lng = c.lng; session.data.location = c.display_name;
+        await rememberConfirmedPlace(geo.query, c, 'nominatim', cq.from.id);
+        await bot.answerCallbackQuery(cq.id, { text: 'Location set' });
+        await finishLocationStep(chatId, session, `Location set: ${c.display_name} ${formatCoords(c.lat, c.lng)}`);
+        return;
+      }
+      if(data === '_geo_pin'){
+        await bot.answerCallbackQuery(cq.id, { text: 'Drop a pin' });
+        await bot.sendMessage(chatId, `Drop a pin for "${geo.query}": tap 📎 → Location and move the map to the place, or tap "Send my location" if you are there.`, { reply_markup: { keyboard: [[{ text: 'Send my location', request_location: true }]], one_time_keyboard: true, resize_keyboard: true } });
+        return;
+      }
+      if(data === '_geo_text'){
+        session.data.location = geo.query;
+        // no stale coordinates from an earlier location
+        session.data.lat = null; session.data.lng = null;
+        await bot.answerCallbackQuery(cq.id, { text: 'Kept as text' });
+        await finishLocationStep(chatId, session, `Location saved as text: ${geo.query} (no map pin, so it won't show on the map).`);
+        return;
+      }
+      await bot.answerCallbackQuery(cq.id, { text: 'Unknown action' });
+      return;
+    }
+
     // Mission picker (works in create/edit flows)
     if(typeof data === 'string' && data.startsWith('_set_mission:')){
       const raw = String(data.slice('_set_mission:'.length) || '').trim();
@@ -2074,8 +2925,17 @@ bot.on('callback_query', async (cq) => {
       let decoded = '';
       try{ decoded = decodeURIComponent(raw); }catch(e){ decoded = raw; }
       const m = normalizeMission(decoded);
+      if(await rejectMissionOutsideScope(chatId, session, cq.from.id, m)){
+        await bot.answerCallbackQuery(cq.id, { text: 'Not your mission' });
+        return;
+      }
       session.data.mission = m;
       await bot.answerCallbackQuery(cq.id, { text: m ? ('Mission: ' + m) : 'Mission cleared' });
+      if(session.missionThenPreview){
+        delete session.missionThenPreview;
+        await sendPreview(chatId, session);
+        return;
+      }
       if(session.step === 'mission') session.step = 'type';
       await promptForStep(chatId, session);
       return;
@@ -2166,8 +3026,27 @@ bot.on('callback_query', async (cq) => {
     if(data === '_confirm'){
       const item = session.pending;
       if(!item){ await bot.answerCallbackQuery(cq.id, { text: 'Nothing to confirm.' }); return; }
+      // mission may have been skipped or typed in another step: check the one being saved
+      const isEdit = (session.mode || 'create') === 'edit';
+      const access = await getAccess(cq.from.id);
+      const allowedSave = botUsers.can(access, isEdit ? 'activity.edit' : 'activity.create', { mission: item.mission || '' }) &&
+        (!isEdit || botUsers.can(access, 'activity.edit', await getActivityScopeForCheck(item.id) || { mission: '', createdBy: null }));
+      if(!allowedSave){
+        await bot.answerCallbackQuery(cq.id, { text: 'Not authorized' });
+        const allowed = botUsers.missionsFor(access, isEdit ? 'activity.edit' : 'activity.create') || [];
+        await bot.sendMessage(chatId, `Not saved: you can't ${isEdit ? 'edit' : 'report'} for mission "${item.mission || '(none)'}".` + (allowed.length ? ' Your missions: ' + allowed.join(', ') + '.' : '') + ' Pick another one, or /cancel.');
+        // back to the preview once a mission is picked
+        session.step = 'mission';
+        session.missionThenPreview = true;
+        await promptForStep(chatId, session);
+        return;
+      }
       // ensure attachment has webPath for client rendering
-      try{ if(item.attachment && item.attachment.path && !item.attachment.webPath){ item.attachment.webPath = path.join('telegram-bot','uploads', path.basename(item.attachment.path)); } }catch(e){}
+      try{
+        for(const att of [item.attachment].concat(item.media || [])){
+          if(att && att.path && !att.webPath){ att.webPath = path.join('telegram-bot','uploads', path.basename(att.path)); }
+        }
+      }catch(e){}
 
       // If configured, upload attachments to R2 so the map site can load them via a public URL.
       await ensurePublicAttachmentUrl(item);
@@ -2175,9 +3054,9 @@ bot.on('callback_query', async (cq) => {
       // Save to Neon DB if configured; otherwise save to local activities.json
       if(dbEnabled()){
         if((session.mode || 'create') === 'edit'){
-          await updateActivityInDb(item.id, item);
+          await updateActivityInDb(item.id, item, session.userId || cq.from.id);
         } else {
-          const newId = await insertActivityToDb(item);
+          const newId = await insertActivityToDb(item, session.userId || cq.from.id);
           if(newId != null) item.id = newId;
         }
       } else {
@@ -2215,76 +3094,21 @@ bot.on('callback_query', async (cq) => {
       return;
     }
 
-    // Daily recap approval workflow (used by Railway cron job recap-daily.js)
-    if(typeof data === 'string' && data.startsWith('_recap_')){
-      if(!isAllowed(cq.from && cq.from.id)){
-        await bot.answerCallbackQuery(cq.id, { text: 'Not authorized' });
-        return;
-      }
-      if(!dbEnabled()){
-        await bot.answerCallbackQuery(cq.id, { text: 'DB not configured' });
-        return;
-      }
-      const parts = data.split(':');
-      const action = parts[0];
-      const recapId = parts[1] ? String(parts[1]).trim() : '';
-      if(!isUuidLike(recapId)){
-        await bot.answerCallbackQuery(cq.id, { text: 'Invalid recap id' });
-        return;
-      }
-
-      const recap = await getRecapPostById(recapId);
-      if(!recap){
-        await bot.answerCallbackQuery(cq.id, { text: 'Recap not found' });
-        return;
-      }
-      if(String(recap.status) !== 'pending'){
-        await bot.answerCallbackQuery(cq.id, { text: 'Already handled' });
-        return;
-      }
-
-      if(action === '_recap_cancel'){
-        await markRecapCanceled(recapId);
-        try{ await bot.editMessageReplyMarkup({}, { chat_id: chatId, message_id: cq.message.message_id }); }catch(e){}
-        await bot.answerCallbackQuery(cq.id, { text: 'Canceled' });
-        await bot.sendMessage(chatId, 'Recap canceled.');
-        return;
-      }
-
-      if(action === '_recap_edit'){
-        recapEditByChatId[chatId] = { recapId };
-        await bot.answerCallbackQuery(cq.id, { text: 'Edit' });
-        await bot.sendMessage(chatId, 'Send the edited recap text now (HTML supported). Type /cancel to stop editing.');
-        return;
-      }
-
-      if(action === '_recap_approve'){
-        if(!RECAP_PUBLIC_CHAT_ID){
-          await bot.answerCallbackQuery(cq.id, { text: 'No channel configured' });
-          await bot.sendMessage(chatId, 'Missing TELEGRAM_PUBLIC_CHANNEL_ID (or fallback TELEGRAM_CHANNEL_ID). Cannot post recap.');
-          return;
-        }
-
-        const text = String(recap.draft_html || '').trim();
-        if(!text){
-          await bot.answerCallbackQuery(cq.id, { text: 'Empty recap' });
-          await bot.sendMessage(chatId, 'Recap draft is empty; not posting.');
-          return;
-        }
-
-        // Post to channel
-        const posted = await bot.sendMessage(RECAP_PUBLIC_CHAT_ID, text, { parse_mode: 'HTML', disable_web_page_preview: true });
-        await markRecapPosted(recapId, RECAP_PUBLIC_CHAT_ID, posted && posted.message_id);
-        try{ await bot.editMessageReplyMarkup({}, { chat_id: chatId, message_id: cq.message.message_id }); }catch(e){}
-        await bot.answerCallbackQuery(cq.id, { text: 'Posted' });
-        await bot.sendMessage(chatId, 'Recap approved and posted.');
-        return;
-      }
-
-      await bot.answerCallbackQuery(cq.id, { text: 'Unknown recap action' });
-      return;
-    }
-
     await bot.answerCallbackQuery(cq.id, { text: 'Unknown action' });
   }catch(e){ console.error('callback_query error', e); }
 });
+
+if(IS_MAIN){
+  registerBotCommands();
+  warnIfMigrationsPending();
+  notifyResumableDrafts();
+  // Start polling after handlers are registered.
+  startPollingSafely();
+}
+
+module.exports = {
+  bot,
+  handleUpdate,
+  dbEnabled,
+  registerBotCommands
+};
@@ -0,0 +1,105 @@
+// Spreadsheet import (lib/activity-import.js): reading CSV / XLSX and checking rows.
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const activityImport = require('../lib/activity-import');
+
+// Simple stand-ins for the bot's parseFlexibleDate / parseCountInput
+const parsers = {
+  parseDate: (s) => /^\d{4}-\d{2}-\d{2}/.test(s) ? new Date(s.slice(0, 10) + 'T00:00:00Z').toISOString() : '',
+  parseCount: (s) => /^\d+$/.test(s) ? Number(s) : s,
+  normalizeMission: (s) => s.trim(),
+  normalizeType: (s) => s.trim().toLowerCase()
+};
+
+test('parseCsv handles quotes, CRLF, a BOM and ; or tab delimiters', () => {
+  assert.deepStrictEqual(
+    activityImport.parseCsv('﻿Title,Count\r\n"Madrasah ""Nur"", Kaya",12\r\n"two\nlines",3\r\n'),
+    [['Title', 'Count'], ['Madrasah "Nur", Kaya', '12'], ['two\nlines', '3']]
+  );
+  assert.deepStrictEqual(activityImport.parseCsv('Title;Count\nA;1,5'), [['Title', 'Count'], ['A', '1,5']]);
+  assert.deepStrictEqual(activityImport.parseCsv('Title\tCount\nA\t2'), [['Title', 'Count'], ['A', '2']]);
+});
+
+test('importKindForDocument goes by file name or MIME type', () => {
+  assert.strictEqual(activityImport.importKindForDocument('Sheet.XLSX', ''), 'xlsx');
+  assert.strictEqual(activityImport.importKindForDocument('', 'text/csv'), 'csv');
+  assert.strictEqual(activityImport.importKindForDocument('old.xls', 'application/vnd.ms-excel'), '');
+});
+
+test('mapColumns matches header aliases and lists the rest', () => {
+  const { fields, ignored } = activityImport.mapColumns(['Nama', 'Tarikh', 'Jumlah', 'GPS', 'Officer']);
+  assert.deepStrictEqual(fields, { title: 0, date: 1, count: 2, coordinates: 3 });
+  assert.deepStrictEqual(ignored, ['Officer']);
+});
+
+test('parseCoordinates takes "lat, lng" or "lat lng"', () => {
+  assert.deepStrictEqual(activityImport.parseCoordinates('3.1516, 101.6942'), { lat: 3.1516, lng: 101.6942 });
+  assert.deepStrictEqual(activityImport.parseCoordinates(' 13.8 20.8 '), { lat: 13.8, lng: 20.8 });
+  assert.strictEqual(activityImport.parseCoordinates('13.8'), null);
+  assert.strictEqual(activityImport.parseCoordinates('north, east'), null);
+});
+
+test('validateImportRows reports each bad row with its spreadsheet row number', () => {
+  const rows = [
+    ['Title', 'Mission', 'Date', 'Count', 'Latitude', 'Longitude'],
+    ['Madrasah A', 'Chad', '2025-12-20', '1200', '13.8', '20.8'],
+    ['', 'Chad', '2025-12-20', '1', '', ''],
+    ['', '', '', '', '', ''],
+    ['Madrasah B', 'Chad', '31/31/2025', 'many', '95', '20'],
+    ['Madrasah C', 'Quran', '2025-12-21', '', '3', ''],
+    ['Madrasah D', 'Quran', '2025-12-22', '', '', '']
+  ];
+  const result = activityImport.validateImportRows(rows, parsers);
+  assert.strictEqual(result.rowCount, 5);
+  assert.deepStrictEqual(result.items.map(x => x.row), [2, 7]);
+  assert.deepStrictEqual(result.items[0].item, {
+    title: 'Madrasah A', mission: 'Chad', activity_type: '', date: '2025-12-20T00:00:00.000Z', count: 1200,
+    location: '', lat: 13.8, lng: 20.8, note: '', highlights: ''
+  });
+  assert.strictEqual(result.items[1].item.lat, null);
+  assert.deepStrictEqual(result.errors.map(e => e.row), [3, 5, 6]);
+  assert.match(result.errors[0].message, /title is empty/);
+  assert.match(result.errors[1].message, /date "31\/31\/2025" not recognised/);
+  assert.match(result.errors[1].message, /count "many" has no number/);
+  assert.match(result.errors[1].message, /latitude must be between -90 and 90/);
+  assert.match(result.errors[2].message, /latitude and longitude must both be numbers/);
+});
+
+test('validateImportRows refuses missions outside the user\'s role', () => {
+  const rows = [['Title', 'Mission', 'Date'], ['A', 'Chad', '2025-12-20'], ['B', 'Quran', '2025-12-20']];
+  const result = activityImport.validateImportRows(rows, Object.assign({ missionAllowed: (m) => m === 'Chad' }, parsers));
+  assert.deepStrictEqual(result.items.map(x => x.item.title), ['A']);
+  assert.deepStrictEqual(result.errors, [{ row: 3, message: 'you can\'t report for mission "Quran"' }]);
+});
+
+test('validateImportRows rejects files without title or date columns, or too many rows', () => {
+  const { ImportFileError, MAX_IMPORT_ROWS } = activityImport;
+  assert.throws(() => activityImport.validateImportRows([['Date'], ['2025-12-20']], parsers), ImportFileError);
+  assert.throws(() => activityImport.validateImportRows([['Title'], ['A']], parsers), ImportFileError);
+  const many = [['Title', 'Date']];
+  for(let i = 0; i <= MAX_IMPORT_ROWS; i++) many.push(['A' + i, '2025-12-20']);
+  assert.throws(() => activityImport.validateImportRows(many, parsers), /Too many rows/);
+});
+
+test('readSpreadsheet reads the first XLSX sheet, dates as YYYY-MM-DD', async () => {
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet('Sheet1');
+  ws.addRow(['Title', 'Date', 'Count']);
+  ws.addRow([{ richText: [{ text: 'Sekolah ' }, { text: 'A' }] }, new Date(Date.UTC(2025, 11, 1)), { formula: '100*2', result: 200 }]);
+  ws.addRow(['Sekolah B', new Date(Date.UTC(2025, 11, 2, 9, 30)), 5]);
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'import-test-')), 'sheet.xlsx');
+  await wb.xlsx.writeFile(file);
+  try{
+    assert.deepStrictEqual(await activityImport.readSpreadsheet(file, 'xlsx'), [
+      ['Title', 'Date', 'Count'],
+      ['Sekolah A', '2025-12-01', '200'],
+      ['Sekolah B', '2025-12-02 09:30', '5']
+    ]);
+  } finally {
+    fs.rmSync(path.dirname(file), { recursive: true, force: true });
+  }
+});
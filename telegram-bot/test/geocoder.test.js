@@ -0,0 +1,49 @@
+// Location step helpers: the Nominatim client against the local stand-in, and the places cache key.
+const test = require('node:test');
+const assert = require('node:assert');
+const { createNominatimClient, toCandidates } = require('../lib/geocoder');
+const { normalizePlaceQuery } = require('../lib/places-store');
+const { startNominatimStub } = require('../scripts/nominatim-stub');
+
+test('toCandidates keeps rows with a name and coordinates, once each', () => {
+  const rows = [
+    { display_name: 'Kaya, Burkina Faso', lat: '13.09', lon: '-1.08' },
+    { display_name: 'Kaya, Burkina Faso', lat: '13.10', lon: '-1.09' },
+    { display_name: 'No coords', lat: 'x', lon: '1' },
+    { display_name: '', lat: '1', lon: '2' },
+    null
+  ];
+  assert.deepStrictEqual(toCandidates(rows), [{ lat: 13.09, lng: -1.08, display_name: 'Kaya, Burkina Faso' }]);
+});
+
+test('normalizePlaceQuery ignores case and spacing', () => {
+  assert.strictEqual(normalizePlaceQuery('  Kaya,  Burkina   Faso '), 'kaya, burkina faso');
+  assert.strictEqual(normalizePlaceQuery('KAYA ,Burkina Faso'), normalizePlaceQuery('kaya, burkina faso'));
+  assert.strictEqual(normalizePlaceQuery(null), '');
+});
+
+test('search lists every candidate for an ambiguous name', async () => {
+  const stub = await startNominatimStub();
+  try{
+    const client = createNominatimClient({ baseUrl: stub.url });
+    const hits = await client.search('Kaya', 5);
+    assert.strictEqual(hits.length, 3);
+    assert.ok(hits.every(h => Number.isFinite(h.lat) && Number.isFinite(h.lng)));
+    assert.deepStrictEqual(await client.search('abeche', 5), [{ lat: 13.8292, lng: 20.8324, display_name: 'Abéché, Ouaddaï, Chad' }]);
+    assert.deepStrictEqual(stub.requests.map(r => r.limit), [5, 5]);
+  } finally {
+    await stub.close();
+  }
+});
+
+test('search resolves [] when Nominatim fails or is unreachable', async () => {
+  const stub = await startNominatimStub({ fail: true });
+  const url = stub.url;
+  try{
+    assert.deepStrictEqual(await createNominatimClient({ baseUrl: url }).search('Kaya'), []);
+  } finally {
+    await stub.close();
+  }
+  assert.deepStrictEqual(await createNominatimClient({ baseUrl: url, timeoutMs: 1000 }).search('Kaya'), []);
+  assert.deepStrictEqual(await createNominatimClient({ baseUrl: url }).search('   '), []);
+});
@@ -0,0 +1,42 @@
+// Migration runner against an in-process Postgres (PGlite), for the path old Neon databases take:
+// schema from the loose .sql files, `migrate:baseline -- 005`, then `migrate`.
+const test = require('node:test');
+const assert = require('node:assert');
+const { listMigrations, migrationStatus, baselineMigrations, runMigrations } = require('../lib/migrations');
+const activityStore = require('../lib/activity-store');
+const { createPglitePool } = require('./pglite-pool');
+const { queryActivitiesPage, getActivityById, searchActivities, distributionRowsSql } = require('../../netlify/lib/activities');
+
+test('a database baselined through 005 gets the later migrations and serves reads', async () => {
+  const pool = createPglitePool();
+  try{
+    // what pasting the old files into the SQL editor left behind: the tables, no schema_migrations
+    for(const m of listMigrations().filter(m => m.version <= '005')) await pool.query(m.sql);
+    // 001..005 must stay what those files created: anything newer would be skipped by the baseline
+    const cols = await pool.query("SELECT 1 FROM information_schema.columns WHERE table_name = 'activities' AND column_name = 'updated_at'", []);
+    assert.strictEqual(cols.rows.length, 0);
+
+    const recorded = await baselineMigrations(pool, '005');
+    assert.deepStrictEqual(recorded.map(m => m.version), ['001', '002', '003', '004', '005']);
+    const applied = await runMigrations(pool);
+    assert.ok(applied.some(m => m.file === '015_activities_updated_at.sql'));
+    assert.ok((await migrationStatus(pool)).every(m => m.state === 'applied'));
+
+    const page = await queryActivitiesPage(pool, { country: 'Chad' }, { limit: 100 });
+    assert.ok(page.items.length > 0);
+    const seeded = page.items[0];
+    assert.strictEqual((await getActivityById(pool, seeded.id)).lastModified.getTime(), new Date(seeded.created_at).getTime());
+    assert.ok((await pool.query(distributionRowsSql(), [])).rows.length > 0);
+
+    const id = await activityStore.insertActivity(pool, { title: 'Surau Kampung Qaryah', mission: 'Chad', date: '2025-12-20T00:00:00Z', count: '40' });
+    const { items } = await searchActivities(pool, { q: 'qary' });
+    assert.deepStrictEqual(items.map(i => i.id), [id]);
+
+    // the 015 trigger: an edit moves the activity's Last-Modified past its creation
+    await pool.query("UPDATE activities SET created_at = created_at - interval '1 day' WHERE id = $1", [id]);
+    const found = await getActivityById(pool, id);
+    assert.ok(found.lastModified > new Date(found.item.created_at));
+  } finally {
+    await pool.end();
+  }
+});
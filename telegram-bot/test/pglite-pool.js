@@ -0,0 +1,29 @@
+// In-process Postgres (PGlite) behind the parts of a pg Pool the runner and the stores use.
+// Shared by the database tests; not a test file itself.
+const { PGlite } = require('@electric-sql/pglite');
+const { pgcrypto } = require('@electric-sql/pglite/contrib/pgcrypto');
+
+function createPglitePool(){
+  const db = new PGlite({ extensions: { pgcrypto } });
+  const pool = {
+    async query(text, values){
+      if(values) {
+        const r = await db.query(text, values);
+        return { rows: r.rows, rowCount: r.affectedRows };
+      }
+      // migration files hold several statements
+      const results = await db.exec(text);
+      const last = results[results.length - 1];
+      return { rows: last ? last.rows : [], rowCount: last ? last.affectedRows : 0 };
+    },
+    async connect(){
+      return { query: (text, values) => pool.query(text, values), release(){} };
+    },
+    end(){
+      return db.close();
+    }
+  };
+  return pool;
+}
+
+module.exports = { createPglitePool };
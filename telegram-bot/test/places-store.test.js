@@ -0,0 +1,36 @@
+// Place cache (lib/places-store.js) against an in-process Postgres: what counts as a use.
+const test = require('node:test');
+const assert = require('node:assert');
+const { runMigrations } = require('../lib/migrations');
+const placesStore = require('../lib/places-store');
+const { createPglitePool } = require('./pglite-pool');
+
+let pool;
+
+test.before(async () => {
+  pool = createPglitePool();
+  await runMigrations(pool);
+  await placesStore.rememberPlace(pool, 'Kaya', { display_name: 'Kaya, Burkina Faso', lat: 13.09, lng: -1.08 }, 'nominatim', 'tg:1');
+  await placesStore.rememberPlace(pool, 'Adama', { display_name: 'Adama, Ethiopia', lat: 8.54, lng: 39.27 }, 'pin', 'tg:1');
+});
+
+test.after(() => pool.end());
+
+async function useCounts(){
+  const r = await pool.query('SELECT query_key, use_count FROM places ORDER BY query_key', []);
+  return Object.fromEntries(r.rows.map(row => [row.query_key, row.use_count]));
+}
+
+test('lookupPlace resolves a place without counting it', async () => {
+  const before = await useCounts();
+  assert.deepStrictEqual(await placesStore.lookupPlace(pool, '  KAYA '), { query: 'Kaya', display_name: 'Kaya, Burkina Faso', lat: 13.09, lng: -1.08, source: 'nominatim' });
+  assert.strictEqual(await placesStore.lookupPlace(pool, 'Nowhere'), null);
+  assert.deepStrictEqual(await useCounts(), before);
+});
+
+test('recordPlaceUses adds one use per text it is given, and findPlace counts its hit', async () => {
+  const before = await useCounts();
+  await placesStore.recordPlaceUses(pool, ['Kaya', 'kaya ', 'Adama', 'Nowhere', '']);
+  await placesStore.findPlace(pool, 'Adama');
+  assert.deepStrictEqual(await useCounts(), { adama: before.adama + 2, kaya: before.kaya + 2 });
+});
@@ -0,0 +1,45 @@
+// Saved chat state (lib/session-store.js): the BOT_SESSION_TTL_HOURS setting and expiry.
+const test = require('node:test');
+const assert = require('node:assert');
+const { runMigrations } = require('../lib/migrations');
+const sessionStore = require('../lib/session-store');
+const { createPglitePool } = require('./pglite-pool');
+
+test('parseTtlHours: unset is 72, 0 means never, bad values warn and fall back', () => {
+  const warnings = [];
+  const warn = (msg) => warnings.push(msg);
+  assert.strictEqual(sessionStore.parseTtlHours(undefined, warn), 72);
+  assert.strictEqual(sessionStore.parseTtlHours(' ', warn), 72);
+  assert.strictEqual(sessionStore.parseTtlHours('0', warn), 0);
+  assert.strictEqual(sessionStore.parseTtlHours('1.5', warn), 1.5);
+  assert.deepStrictEqual(warnings, []);
+
+  assert.strictEqual(sessionStore.parseTtlHours('-1', warn), 72);
+  assert.strictEqual(sessionStore.parseTtlHours('three days', warn), 72);
+  assert.strictEqual(warnings.length, 2);
+  assert.match(warnings[0], /Invalid BOT_SESSION_TTL_HOURS "-1"/);
+
+  assert.strictEqual(sessionStore.ttlSecondsFromHours(0), 0);
+  assert.strictEqual(sessionStore.ttlSecondsFromHours(1.5), 5400);
+  assert.strictEqual(sessionStore.ttlSecondsFromHours(0.00001), 1);
+});
+
+test('state older than the TTL is dropped; with TTL 0 it is kept', async () => {
+  const pool = createPglitePool();
+  try{
+    await runMigrations(pool);
+    const state = { session: { step: 'count', data: { title: 'Madrasah' } } };
+    await sessionStore.saveChatState(pool, 1, state);
+    await sessionStore.saveChatState(pool, 2, state);
+    await pool.query("UPDATE bot_sessions SET updated_at = now() - interval '400 days'", []);
+
+    assert.deepStrictEqual(await sessionStore.loadChatState(pool, 1, 0), state);
+    assert.strictEqual(await sessionStore.deleteExpiredChatStates(pool, 0), 0);
+    assert.strictEqual((await sessionStore.claimDraftsForResumeNotice(pool, 0)).length, 2);
+
+    assert.strictEqual(await sessionStore.loadChatState(pool, 1, sessionStore.ttlSecondsFromHours(72)), null);
+    assert.strictEqual(await sessionStore.deleteExpiredChatStates(pool, sessionStore.ttlSecondsFromHours(72)), 1);
+  } finally {
+    await pool.end();
+  }
+});
@@ -0,0 +1,71 @@
+// Webhook mode (netlify/functions/telegram-webhook.js) against the local Bot API stand-in.
+// Runs without a database: handleUpdate is exercised directly, the function up to its DB check.
+const test = require('node:test');
+const assert = require('node:assert');
+const { startTelegramApiStub } = require('../scripts/telegram-api-stub');
+
+delete process.env.DATABASE_URL;
+delete process.env.NETLIFY_DATABASE_URL;
+process.env.TELEGRAM_BOT_TOKEN = '123:test';
+process.env.TELEGRAM_WEBHOOK_SECRET = 'webhook-secret';
+
+let stub;
+let webhook;
+let botModule;
+
+test.before(async () => {
+  stub = await startTelegramApiStub();
+  process.env.TELEGRAM_API_BASE_URL = stub.url;
+  webhook = require('../../netlify/functions/telegram-webhook');
+  botModule = require('../server-guided');
+});
+
+test.after(() => stub.close());
+
+function textUpdate(updateId, text){
+  return {
+    update_id: updateId,
+    message: {
+      message_id: updateId,
+      date: Math.floor(Date.now() / 1000),
+      chat: { id: 42, type: 'private' },
+      from: { id: 42 },
+      text,
+      entities: [{ type: 'bot_command', offset: 0, length: text.split(' ')[0].length }]
+    }
+  };
+}
+
+function sentTexts(from){
+  return stub.calls.slice(from).filter(c => c.method === 'sendMessage').map(c => c.params.text);
+}
+
+test('rejects requests that are not Telegram updates', async () => {
+  const post = (headers, body) => webhook.handler({ httpMethod: 'POST', headers, body });
+  assert.strictEqual((await webhook.handler({ httpMethod: 'GET', headers: {} })).statusCode, 405);
+  assert.strictEqual((await post({ 'x-telegram-bot-api-secret-token': 'wrong' }, '{}')).statusCode, 401);
+  assert.strictEqual((await post({ 'x-telegram-bot-api-secret-token': 'webhook-secret' }, 'not json')).statusCode, 400);
+});
+
+test('needs a database for chat state', async () => {
+  const res = await webhook.handler({
+    httpMethod: 'POST',
+    headers: { 'x-telegram-bot-api-secret-token': 'webhook-secret' },
+    body: JSON.stringify(textUpdate(1, '/help'))
+  });
+  assert.strictEqual(res.statusCode, 500);
+  assert.match(res.body, /DATABASE_URL/);
+});
+
+test('handleUpdate resolves after the replies are sent', async () => {
+  const before = stub.calls.length;
+  await botModule.handleUpdate(textUpdate(2, '/help'));
+  assert.match(sentTexts(before).join('\n'), /\/new - guided input/);
+});
+
+test('waits for replies a handler does not return', async () => {
+  // the /cancel handler calls bot.sendMessage without returning it
+  const before = stub.calls.length;
+  await botModule.handleUpdate(textUpdate(3, '/cancel'));
+  assert.deepStrictEqual(sentTexts(before), ['Canceled.']);
+});
@@ -0,0 +1,65 @@
+// Activity search in netlify/lib/activities.js, with a stand-in Pool (no database needed).
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  BadRequestError,
+  DEFAULT_SEARCH_LIMIT,
+  MAX_SEARCH_LIMIT,
+  parseSearchQuery,
+  searchActivities
+} = require('../netlify/lib/activities');
+
+test('parseSearchQuery turns words into prefix terms joined with &', () => {
+  assert.strictEqual(parseSearchQuery('madrasah izhar'), 'madrasah:* & izhar:*');
+  assert.strictEqual(parseSearchQuery('  Abéché, CHAD! '), 'abéché:* & chad:*');
+  assert.strictEqual(parseSearchQuery('2025 kaya'), '2025:* & kaya:*');
+});
+
+test('parseSearchQuery drops tsquery syntax and caps the words', () => {
+  assert.strictEqual(parseSearchQuery("a & !b | c:* <-> 'd'"), 'a:* & b:* & c:* & d:*');
+  assert.strictEqual(parseSearchQuery('1 2 3 4 5 6 7 8 9 10'), '1:* & 2:* & 3:* & 4:* & 5:* & 6:* & 7:* & 8:*');
+  assert.strictEqual(parseSearchQuery(' & | ! '), '');
+  assert.strictEqual(parseSearchQuery(null), '');
+});
+
+// Records the query and answers with the given rows, like a pg Pool.
+function fakePool(rows){
+  const calls = [];
+  return {
+    calls,
+    query(sql, values){
+      calls.push({ sql, values });
+      return Promise.resolve({ rows });
+    }
+  };
+}
+
+test('searchActivities matches every word as a prefix and returns ranked items', async () => {
+  const pool = fakePool([
+    { id: 'a1', title: 'Madrasah Izharuddin', mission: 'Chad', raw: '{"highlights":"Alhamdulillah"}', count: '1,200 mushaf', _rank: '0.0607927' },
+    { id: 'a2', title: 'Madrasah Izhar Kaya', raw: null, _rank: null }
+  ]);
+  const { items } = await searchActivities(pool, { q: 'Madrasah izhar', mission: 'Chad', limit: '500' });
+
+  const { sql, values } = pool.calls[0];
+  assert.match(sql, /to_tsvector\('simple', activity_search_document\(title, note, location, mission, raw\)\) @@ to_tsquery\('simple', \$2\)/);
+  assert.match(sql, /deleted_at IS NULL/);
+  assert.match(sql, /ORDER BY _rank DESC/);
+  assert.deepStrictEqual(values, [['chad'], 'madrasah:* & izhar:*', MAX_SEARCH_LIMIT]);
+
+  assert.deepStrictEqual(items.map(i => [i.id, i.rank]), [['a1', 0.0607927], ['a2', 0]]);
+  assert.strictEqual(items[0].highlights, 'Alhamdulillah');
+  assert.strictEqual(items[0].count_number, 1200);
+  assert.ok(!('_rank' in items[0]) && !('raw' in items[0]));
+});
+
+test('searchActivities refuses a query with no words or a bad limit before touching the database', async () => {
+  const pool = fakePool([]);
+  await assert.rejects(searchActivities(pool, { q: ' !? ' }), BadRequestError);
+  await assert.rejects(searchActivities(pool, { q: 'kaya', limit: '0' }), /Invalid limit/);
+  await assert.rejects(searchActivities(pool, { q: 'kaya', bbox: '1,2,3' }), /Invalid bbox/);
+  assert.strictEqual(pool.calls.length, 0);
+
+  await searchActivities(pool, { q: 'kaya' });
+  assert.strictEqual(pool.calls[0].values[pool.calls[0].values.length - 1], DEFAULT_SEARCH_LIMIT);
+});